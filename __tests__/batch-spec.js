@@ -0,0 +1,71 @@
+'use strict';
+
+describe('Batch', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+  const url = 'https://example.com/api/handleError';
+
+  let oldSendBeacon;
+  let oldFetch;
+
+  function report(message) {
+    return { mode: 'stack', name: 'Error', message: message, stack: [] };
+  }
+
+  beforeEach(function () {
+    oldSendBeacon = navigator.sendBeacon;
+    oldFetch = window.fetch;
+    navigator.sendBeacon = jest.fn(() => true);
+    window.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200 }));
+  });
+
+  afterEach(function () {
+    navigator.sendBeacon = oldSendBeacon;
+    window.fetch = oldFetch;
+  });
+
+  function sentBatches(mock) {
+    return mock.mock.calls.map(call => JSON.parse(call[1].body || call[1]).map(payload => payload.message));
+  }
+
+  it('should send a JSON array once maxSize reports are buffered', function () {
+    const handler = ErrorWatch.transport({ url, methods: ['fetch'], batch: { maxSize: 2 } });
+    handler(report('a'), false, null);
+    expect(window.fetch).not.toHaveBeenCalled();
+    handler(report('b'), true, null);
+    expect(sentBatches(window.fetch)).toEqual([['a', 'b']]);
+  });
+
+  it('should not let a batch grow over maxBytes', function () {
+    const size = JSON.stringify(Object.assign(report('a'), { isWindowError: false, url: window.location.href })).length;
+    const handler = ErrorWatch.transport({ url, methods: ['fetch'], batch: { maxBytes: size * 2 + 3 } }); // "[" + a + "," + b + "]"
+    handler(report('a'), false, null);
+    handler(report('b'), false, null);
+    expect(sentBatches(window.fetch)).toEqual([['a', 'b']]);
+    handler(report('c'), false, null);
+    handler(report('dd'), false, null);
+    expect(sentBatches(window.fetch)).toEqual([['a', 'b'], ['c']]);
+  });
+
+  it('should send after the delay', function (done) {
+    const handler = ErrorWatch.transport({
+      url,
+      methods: ['fetch'],
+      batch: { delay: 10 },
+      onSuccess: function (result, payloads) {
+        expect(payloads.map(payload => payload.message)).toEqual(['a']);
+        done();
+      },
+    });
+    handler(report('a'), false, null);
+  });
+
+  it('should flush with sendBeacon when the page is hidden', function () {
+    const handler = ErrorWatch.transport({ url, methods: ['fetch'], batch: true });
+    handler(report('a'), false, null);
+    handler(report('b'), false, null);
+    window.dispatchEvent(new Event('pagehide'));
+    expect(window.fetch).not.toHaveBeenCalled();
+    // the buffers of the other transports are flushed too
+    expect(sentBatches(navigator.sendBeacon)).toContainEqual(['a', 'b']);
+  });
+});
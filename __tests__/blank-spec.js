@@ -0,0 +1,172 @@
+'use strict';
+
+describe('Blank screen detection', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+
+  let handler, topmost, warn;
+
+  function blanks() {
+    return handler.mock.calls.map(call => call[0]).filter(stack => stack.mode === 'blank');
+  }
+
+  beforeEach(function () {
+    jest.useFakeTimers();
+    document.body.innerHTML = '<div id="app"></div>';
+    topmost = function () {
+      return document.getElementById('app');
+    };
+    document.elementsFromPoint = jest.fn(function (x, y) {
+      return [topmost(x, y)];
+    });
+    ErrorWatch.configure({ collectBlankScreens: true, blankCheckDelay: 500 });
+    warn = jest.spyOn(console, 'warn').mockImplementation(function () {}); // wrapped by ErrorWatch
+    handler = jest.fn();
+    ErrorWatch.report.subscribe(handler);
+  });
+
+  afterEach(function () {
+    ErrorWatch.destroy();
+    ErrorWatch.init();
+    warn.mockRestore();
+    delete document.elementsFromPoint;
+    document.body.innerHTML = '';
+    window.history.replaceState(null, '', '/');
+    jest.useRealTimers();
+  });
+
+  it('should report a page that rendered nothing after load', function () {
+    jest.advanceTimersByTime(499);
+    expect(blanks()).toEqual([]);
+    jest.advanceTimersByTime(1);
+    expect(document.elementsFromPoint).toHaveBeenCalledTimes(17);
+    expect(blanks()).toEqual([expect.objectContaining({
+      name: 'BlankScreen',
+      message: `Blank screen at ${window.location.href}`,
+      stack: null,
+      blank: {
+        url: window.location.href,
+        trigger: 'load',
+        points: 17,
+        elements: ['div#app'],
+        recentErrors: [],
+      },
+    })]);
+    expect(handler.mock.calls[0][1]).toBe(false);
+  });
+
+  it('should sample the center lines of the viewport', function () {
+    jest.advanceTimersByTime(500);
+    const points = document.elementsFromPoint.mock.calls;
+    expect(points).toContainEqual([window.innerWidth / 10, window.innerHeight / 2]);
+    expect(points).toContainEqual([window.innerWidth / 2, window.innerHeight * 9 / 10]);
+    expect(points.filter(p => p[0] === window.innerWidth / 2 && p[1] === window.innerHeight / 2).length).toBe(1);
+  });
+
+  it('should not report a page with content', function () {
+    const content = document.createElement('main');
+    document.getElementById('app').appendChild(content);
+    topmost = function (x) {
+      return x > window.innerWidth / 2 ? content : document.body;
+    };
+    jest.advanceTimersByTime(500);
+    expect(blanks()).toEqual([]);
+  });
+
+  it('should count skeletons as blank', function () {
+    ErrorWatch.configure({ blankSkeletonSelectors: ['.skeleton'] });
+    document.getElementById('app').innerHTML = '<div class="skeleton"><span class="line"></span></div>';
+    topmost = function () {
+      return document.querySelector('.line');
+    };
+    jest.advanceTimersByTime(500);
+    expect(blanks().length).toBe(1);
+    expect(blanks()[0].blank.elements).toEqual(['div#app > div.skeleton > span.line']);
+  });
+
+  it('should use the configured root selectors', function () {
+    ErrorWatch.configure({ blankRootSelectors: ['body'] });
+    jest.advanceTimersByTime(500);
+    expect(blanks()).toEqual([]);
+  });
+
+  it('should check again after a route change', function () {
+    jest.advanceTimersByTime(500);
+    window.history.pushState(null, '', '/cart');
+    window.history.replaceState(null, '', '/cart');
+    jest.advanceTimersByTime(500);
+    expect(blanks().length).toBe(2);
+    expect(blanks()[1].blank).toMatchObject({ trigger: 'navigation', url: 'http://localhost/cart' });
+  });
+
+  it('should include the recent errors and resource failures', function () {
+    const img = document.createElement('img');
+    img.src = 'https://cdn.example.com/logo.png';
+    document.body.appendChild(img);
+    img.dispatchEvent(new Event('error'));
+    window.onerror('Uncaught TypeError: x is not a function', 'http://example.com/app.js', 3, 7);
+    console.warn('not an error');
+    jest.advanceTimersByTime(500);
+    expect(blanks()[0].blank.recentErrors).toEqual([
+      { mode: 'resource', name: 'https://cdn.example.com/logo.png', message: 'img is load error', timestamp: expect.any(Number) },
+      { mode: 'onerror', name: 'TypeError', message: 'x is not a function', timestamp: expect.any(Number) },
+    ]);
+  });
+
+  it('should record an error once when clients receive different stacks for it', function () {
+    const client = ErrorWatch.createClient();
+    const clientHandler = jest.fn();
+    client.subscribe(clientHandler);
+    try {
+      ErrorWatch.report(new TypeError('rethrown'));
+    } catch (e) {
+      window.onerror('Uncaught TypeError: rethrown', 'http://example.com/app.js', 1, 1, e);
+    }
+    client.unsubscribe(clientHandler);
+    jest.advanceTimersByTime(500);
+    expect(blanks()[0].blank.recentErrors).toEqual([
+      { mode: 'stack', name: 'TypeError', message: 'rethrown', timestamp: expect.any(Number) },
+    ]);
+  });
+
+  it('should only be sent to clients with collectBlankScreens', function () {
+    ErrorWatch.configure({ collectBlankScreens: false });
+    const client = ErrorWatch.createClient({ collectBlankScreens: true });
+    const clientHandler = jest.fn();
+    client.subscribe(clientHandler);
+    jest.advanceTimersByTime(500);
+    client.unsubscribe(clientHandler);
+    expect(blanks()).toEqual([]);
+    expect(clientHandler).toHaveBeenCalledTimes(1);
+    expect(clientHandler.mock.calls[0][0].mode).toBe('blank');
+  });
+
+  it('should only check while a client collects blank screens', function () {
+    ErrorWatch.configure({ collectBlankScreens: false });
+    jest.advanceTimersByTime(500);
+    window.history.pushState(null, '', '/cart');
+    jest.advanceTimersByTime(500);
+    expect(document.elementsFromPoint).not.toHaveBeenCalled();
+
+    ErrorWatch.configure({ collectBlankScreens: true });
+    jest.advanceTimersByTime(500);
+    expect(blanks().length).toBe(1);
+  });
+
+  it('should not check hidden pages', function () {
+    Object.defineProperty(document, 'hidden', { value: true, configurable: true });
+    jest.advanceTimersByTime(500);
+    delete document.hidden;
+    expect(document.elementsFromPoint).not.toHaveBeenCalled();
+  });
+
+  it('should stop on destroy', function () {
+    ErrorWatch.destroy();
+    ErrorWatch.report.subscribe(handler);
+    ErrorWatch.report.unsubscribe(handler);
+    handler.mockClear();
+    jest.advanceTimersByTime(500);
+    window.history.pushState(null, '', '/cart');
+    jest.advanceTimersByTime(500);
+    expect(blanks()).toEqual([]);
+  });
+});
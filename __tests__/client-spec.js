@@ -0,0 +1,102 @@
+'use strict';
+
+describe('Client', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+
+  let oldOnErrorHandler;
+
+  beforeEach(function () {
+    oldOnErrorHandler = window.onerror;
+    window.onerror = function () {
+      return true;
+    };
+  });
+
+  afterEach(function () {
+    window.onerror = oldOnErrorHandler;
+  });
+
+  it('should send each window error to every interested client', function () {
+    const a = ErrorWatch.createClient({ allowUrls: ['/team-a/'] });
+    const b = ErrorWatch.createClient({ denyUrls: [/\/team-a\//] });
+    const handlerA = jest.fn();
+    const handlerB = jest.fn();
+    const handlerDefault = jest.fn();
+    a.subscribe(handlerA);
+    b.subscribe(handlerB);
+    ErrorWatch.report.subscribe(handlerDefault);
+
+    window.onerror('Error: a', 'http://example.com/team-a/app.js', 1);
+    window.onerror('Error: b', 'http://example.com/team-b/app.js', 1);
+
+    expect(handlerA.mock.calls.map(call => call[0].message)).toEqual(['a']);
+    expect(handlerB.mock.calls.map(call => call[0].message)).toEqual(['b']);
+    expect(handlerDefault.mock.calls.map(call => call[0].message)).toEqual(['a', 'b']);
+
+    a.unsubscribe(handlerA);
+    b.unsubscribe(handlerB);
+    ErrorWatch.report.unsubscribe(handlerDefault);
+  });
+
+  it('should keep handlers and options separate', function () {
+    const a = ErrorWatch.createClient();
+    const b = ErrorWatch.createClient();
+    const handlerA = jest.fn();
+    const handlerB = jest.fn();
+    a.subscribe(handlerA);
+    b.report.subscribe(handlerB);
+
+    b.configure({ filter: () => false });
+    window.onerror('Error: boom', 'http://example.com/app.js', 1);
+    expect(handlerA).toHaveBeenCalledTimes(1);
+    expect(handlerB).not.toHaveBeenCalled();
+    expect(ErrorWatch.configure().filter).toBe(null);
+
+    a.unsubscribe(handlerA);
+    b.report.unsubscribe(handlerB);
+  });
+
+  it('should only deliver report() to its own client', done => {
+    const a = ErrorWatch.createClient();
+    const b = ErrorWatch.createClient();
+    const handlerA = jest.fn();
+    const handlerB = jest.fn();
+    a.subscribe(handlerA);
+    b.subscribe(handlerB);
+
+    expect(function () {
+      a.wrap(function () {
+        throw new Error('Boom!');
+      })();
+    }).toThrow();
+
+    setTimeout(function () {
+      expect(handlerA).toHaveBeenCalledTimes(1);
+      expect(handlerA.mock.calls[0][1]).toBe(false);
+      expect(handlerB).not.toHaveBeenCalled();
+      a.unsubscribe(handlerA);
+      b.unsubscribe(handlerB);
+      done();
+    }, 100);
+  });
+
+  it('should restore window.onerror once the last client unsubscribes', function () {
+    const onErrorHandler = window.onerror;
+    const a = ErrorWatch.createClient();
+    const b = ErrorWatch.createClient();
+    const handler = function () {};
+    a.subscribe(handler);
+    b.subscribe(handler);
+
+    a.unsubscribe(handler);
+    expect(window.onerror).not.toBe(onErrorHandler);
+    b.unsubscribe(handler);
+    expect(window.onerror).toBe(onErrorHandler);
+  });
+
+  it('should reject page-wide options', function () {
+    expect(function () {
+      ErrorWatch.createClient({ debug: true });
+    }).toThrow(/page-wide/);
+  });
+});
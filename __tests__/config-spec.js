@@ -0,0 +1,70 @@
+'use strict';
+
+describe('Config', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+
+  afterEach(function () {
+    ErrorWatch.init();
+  });
+
+  it('should start from the defaults', function () {
+    expect(ErrorWatch.configure()).toMatchObject({
+      remoteFetching: false,
+      collectWindowErrors: true,
+      collectSourceErrors: true,
+      linesOfContext: 11,
+      debug: false,
+      allowUrls: [],
+      denyUrls: [],
+      filter: null,
+    });
+  });
+
+  it('should merge options into the current config', function () {
+    ErrorWatch.configure({ debug: true });
+    const options = ErrorWatch.configure({ linesOfContext: 5 });
+    expect(options.debug).toBe(true);
+    expect(options.linesOfContext).toBe(5);
+  });
+
+  it('should reset to the defaults on init', function () {
+    ErrorWatch.configure({ debug: true });
+    const options = ErrorWatch.init({ collectSourceErrors: false });
+    expect(options.debug).toBe(false);
+    expect(options.collectSourceErrors).toBe(false);
+  });
+
+  it('should reject unknown and mistyped options without applying any', function () {
+    expect(function () {
+      ErrorWatch.configure({ debug: true, colectWindowErrors: false });
+    }).toThrow(TypeError);
+    expect(function () {
+      ErrorWatch.configure({ collectWindowErrors: 'no' });
+    }).toThrow(/must be a boolean/);
+    expect(function () {
+      ErrorWatch.init({ linesOfContext: -1 });
+    }).toThrow(/non-negative integer/);
+    expect(ErrorWatch.configure().debug).toBe(false);
+  });
+
+  it('should apply changes made after subscribing to the next window error', function () {
+    const handler = jest.fn();
+    const oldOnErrorHandler = window.onerror;
+    window.onerror = function () {
+      return true;
+    };
+    ErrorWatch.report.subscribe(handler);
+
+    ErrorWatch.configure({ collectWindowErrors: false });
+    window.onerror('Error: first', 'http://example.com', 1);
+    expect(handler).not.toHaveBeenCalled();
+
+    ErrorWatch.configure({ collectWindowErrors: true });
+    window.onerror('Error: second', 'http://example.com', 1);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].message).toBe('second');
+
+    ErrorWatch.report.unsubscribe(handler);
+    window.onerror = oldOnErrorHandler;
+  });
+});
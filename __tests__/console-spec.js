@@ -0,0 +1,148 @@
+'use strict';
+
+describe('console capture', function () {
+  let ErrorWatch, handler, originals;
+
+  function reports() {
+    return handler.mock.calls.map(call => call[0]);
+  }
+
+  function logFromWidget(level) {
+    console[level].apply(console, [].slice.call(arguments, 1));
+  }
+
+  beforeAll(function () {
+    // Instrumentation patches whatever is there when the first handler subscribes.
+    originals = {};
+    ['error', 'warn', 'assert', 'log'].forEach(function (level) {
+      originals[level] = console[level];
+      console[level] = jest.fn();
+    });
+    ErrorWatch = require('../dist/errorWatch');
+    handler = jest.fn();
+    ErrorWatch.report.subscribe(handler);
+  });
+
+  afterAll(function () {
+    ErrorWatch.report.unsubscribe(handler);
+    ErrorWatch.destroy();
+    Object.keys(originals).forEach(function (level) {
+      console[level] = originals[level];
+    });
+  });
+
+  afterEach(function () {
+    handler.mockClear();
+    ErrorWatch.init();
+  });
+
+  it('should not report console calls by default', function () {
+    logFromWidget('error', 'Warning: something');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should not capture the call site of levels no client captures', function () {
+    const ofCaller = jest.spyOn(ErrorWatch.computeStackTrace, 'ofCaller');
+    logFromWidget('warn', 'careful');
+    logFromWidget('error', 'boom');
+    expect(ofCaller).not.toHaveBeenCalled();
+    ErrorWatch.configure({ captureConsole: true });
+    logFromWidget('warn', 'careful');
+    expect(ofCaller).not.toHaveBeenCalled();
+    logFromWidget('error', 'boom');
+    expect(ofCaller).toHaveBeenCalledTimes(1);
+    ofCaller.mockRestore();
+  });
+
+  it('should not serialize the arguments of levels no client captures', function () {
+    const arg = { toJSON: jest.fn(() => 'big') };
+    ErrorWatch.configure({ captureConsole: true, autoBreadcrumbs: { console: false } });
+    logFromWidget('warn', arg);
+    expect(arg.toJSON).not.toHaveBeenCalled();
+    logFromWidget('error', arg);
+    expect(arg.toJSON).toHaveBeenCalled();
+  });
+
+  it('should report console.error with the caller stack', function () {
+    ErrorWatch.configure({ captureConsole: true });
+    logFromWidget('error', 'Warning: %s is deprecated', { name: 'old' });
+    expect(reports().length).toBe(1);
+    const stack = reports()[0];
+    expect(stack).toMatchObject({
+      mode: 'console',
+      name: 'console.error',
+      message: 'Warning: %s is deprecated {"name":"old"}',
+      level: 'error',
+    });
+    expect(stack.stack[0].func).toMatch(/logFromWidget/);
+    expect(stack.stack[0].url).toMatch(/console-spec\.js$/);
+    expect(handler.mock.calls[0][1]).toBe(false);
+  });
+
+  it('should still call the original console method', function () {
+    ErrorWatch.configure({ captureConsole: true });
+    const original = console.error.__errorWatchOriginal__;
+    original.mockClear();
+    logFromWidget('error', 'boom', 1);
+    expect(original).toHaveBeenCalledWith('boom', 1);
+  });
+
+  it('should only report console.warn and console.assert when listed', function () {
+    ErrorWatch.configure({ captureConsole: true });
+    logFromWidget('warn', 'careful');
+    logFromWidget('assert', false, 'no user');
+    expect(handler).not.toHaveBeenCalled();
+
+    ErrorWatch.configure({ captureConsole: ['warn', 'assert'] });
+    logFromWidget('error', 'ignored');
+    logFromWidget('warn', 'careful');
+    logFromWidget('assert', true, 'passed');
+    logFromWidget('assert', false, 'no user');
+    logFromWidget('log', 'never');
+    expect(reports().map(stack => [stack.level, stack.message])).toEqual([
+      ['warn', 'careful'],
+      ['assert', 'Assertion failed: no user'],
+    ]);
+  });
+
+  it('should pass an Error argument as the error', function () {
+    ErrorWatch.configure({ captureConsole: true });
+    const error = new TypeError('bad prop');
+    logFromWidget('error', 'Render failed', error);
+    expect(reports()[0].message).toBe('Render failed TypeError: bad prop');
+    expect(handler.mock.calls[0][2]).toBe(error);
+  });
+
+  it('should not report console calls made by the handlers', function () {
+    ErrorWatch.configure({ captureConsole: true });
+    const logging = jest.fn(function () {
+      console.error('handler logged');
+    });
+    ErrorWatch.report.subscribe(logging);
+    logFromWidget('error', 'first');
+    ErrorWatch.report.unsubscribe(logging);
+    expect(logging).toHaveBeenCalledTimes(1);
+    expect(reports().length).toBe(1);
+  });
+
+  it('should let each client choose the levels', function () {
+    const client = ErrorWatch.createClient({ captureConsole: ['warn'] });
+    const clientHandler = jest.fn();
+    client.subscribe(clientHandler);
+    logFromWidget('warn', 'careful');
+    logFromWidget('error', 'boom');
+    client.unsubscribe(clientHandler);
+    expect(handler).not.toHaveBeenCalled();
+    expect(clientHandler).toHaveBeenCalledTimes(1);
+    expect(clientHandler.mock.calls[0][0].message).toBe('careful');
+  });
+
+  it('should reject unknown levels', function () {
+    expect(function () {
+      ErrorWatch.configure({ captureConsole: ['info'] });
+    }).toThrow('ErrorWatch: option "captureConsole" may only contain "error", "warn" and "assert"');
+    expect(function () {
+      ErrorWatch.configure({ captureConsole: 'error' });
+    }).toThrow(TypeError);
+  });
+});
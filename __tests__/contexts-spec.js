@@ -0,0 +1,83 @@
+'use strict';
+
+describe('Contexts', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+  const parseUserAgent = ErrorWatch.getContexts.parseUserAgent;
+
+  describe('parseUserAgent', function () {
+    const USER_AGENTS = [
+      ['Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0.0.0 Safari/537.36',
+        ['Chrome', '118.0.0.0'], ['Windows', '10'], ['Blink', '118.0.0.0']],
+      ['Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0.0.0 Safari/537.36 Edg/118.0.2088.46',
+        ['Edge', '118.0.2088.46'], ['Windows', '10'], ['Blink', '118.0.0.0']],
+      ['Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/70.0.3538.102 Safari/537.36 Edge/18.19041',
+        ['Edge', '18.19041'], ['Windows', '10'], ['EdgeHTML', '18.19041']],
+      ['Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:109.0) Gecko/20100101 Firefox/118.0',
+        ['Firefox', '118.0'], ['Mac OS X', '10.15'], ['Gecko', '109.0']],
+      ['Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15',
+        ['Safari', '17.0'], ['Mac OS X', '10.15.7'], ['WebKit', '605.1.15']],
+      ['Mozilla/5.0 (iPhone; CPU iPhone OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/118.0.5993.69 Mobile/15E148 Safari/604.1',
+        ['Chrome', '118.0.5993.69'], ['iOS', '16.6'], ['WebKit', '605.1.15']],
+      ['Mozilla/5.0 (Linux; Android 13; SM-S918B) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/22.0 Chrome/111.0.5563.116 Mobile Safari/537.36',
+        ['Samsung Internet', '22.0'], ['Android', '13'], ['Blink', '111.0.5563.116']],
+      ['Mozilla/5.0 (Windows NT 6.1; WOW64; Trident/7.0; rv:11.0) like Gecko',
+        ['IE', '11.0'], ['Windows', '7'], ['Trident', '7.0']],
+      ['Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0.0.0 Safari/537.36 OPR/104.0.0.0',
+        ['Opera', '104.0.0.0'], ['Linux', null], ['Blink', '118.0.0.0']],
+    ];
+
+    USER_AGENTS.forEach(function (test) {
+      it('should parse ' + test[1][0] + ' on ' + test[2][0], function () {
+        const result = parseUserAgent(test[0]);
+        expect(result.browser).toEqual({ name: test[1][0], version: test[1][1] });
+        expect(result.os).toEqual({ name: test[2][0], version: test[2][1] });
+        expect(result.engine).toEqual({ name: test[3][0], version: test[3][1] });
+      });
+    });
+
+    it('should return nulls for an unknown user agent', function () {
+      expect(parseUserAgent('curl/8.0')).toEqual({
+        browser: { name: null, version: null },
+        os: { name: null, version: null },
+        engine: { name: null, version: null },
+      });
+    });
+  });
+
+  describe('getContexts', function () {
+    it('should collect the environment', function () {
+      const contexts = ErrorWatch.getContexts();
+      expect(contexts.userAgent).toBe(window.navigator.userAgent);
+      expect(contexts.page.url).toBe(window.location.href);
+      expect(contexts.viewport).toEqual({ width: window.innerWidth, height: window.innerHeight });
+      expect(contexts.locale.language).toBe(window.navigator.language);
+      expect(typeof contexts.locale.timezoneOffset).toBe('number');
+      expect(contexts.network.online).toBe(window.navigator.onLine);
+      expect(contexts.network.effectiveType).toBe(null);
+      expect(Object.keys(contexts.device)).toEqual(['screenWidth', 'screenHeight', 'pixelRatio', 'memory', 'cores']);
+    });
+
+    it('should refresh the volatile fields for every call', function () {
+      const before = ErrorWatch.getContexts();
+      window.history.pushState({}, '', '/other-page');
+      const after = ErrorWatch.getContexts();
+      expect(after.page.url).not.toBe(before.page.url);
+      expect(after.page.url).toBe(window.location.href);
+      after.browser.name = 'changed';
+      expect(ErrorWatch.getContexts().browser.name).toBe(before.browser.name);
+    });
+
+    it('should be attached to every report', function () {
+      const oldOnErrorHandler = window.onerror;
+      const handler = jest.fn();
+      ErrorWatch.report.subscribe(handler);
+      window.onerror('Error: boom', 'http://example.com/app.js', 1);
+      ErrorWatch.report.unsubscribe(handler);
+      window.onerror = oldOnErrorHandler;
+
+      const contexts = handler.mock.calls[0][0].contexts;
+      expect(contexts.page.url).toBe(window.location.href);
+      expect(contexts.browser).toEqual(ErrorWatch.getContexts().browser);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+describe('CSP violations', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+
+  let handler;
+
+  function reports() {
+    return handler.mock.calls.map(call => call[0]);
+  }
+
+  function violate(props) {
+    // jsdom has no SecurityPolicyViolationEvent
+    const event = new Event('securitypolicyviolation', { bubbles: true });
+    Object.assign(event, {
+      blockedURI: 'https://evil.example.com/x.js',
+      violatedDirective: 'script-src-elem',
+      effectiveDirective: 'script-src-elem',
+      sourceFile: 'https://example.com/js/app.js',
+      lineNumber: 12,
+      columnNumber: 5,
+      disposition: 'enforce',
+      sample: '',
+    }, props);
+    document.dispatchEvent(event);
+    return event;
+  }
+
+  beforeAll(function () {
+    handler = jest.fn();
+    ErrorWatch.report.subscribe(handler);
+  });
+
+  afterAll(function () {
+    ErrorWatch.report.unsubscribe(handler);
+    ErrorWatch.destroy();
+  });
+
+  beforeEach(function () {
+    ErrorWatch.configure({ collectCspViolations: true });
+  });
+
+  afterEach(function () {
+    handler.mockClear();
+    ErrorWatch.init();
+  });
+
+  it('should report violations with mode csp', function () {
+    const event = violate({ lineNumber: 1 });
+    expect(reports().length).toBe(1);
+    expect(reports()[0]).toMatchObject({
+      mode: 'csp',
+      name: 'CspViolation',
+      message: 'Refused to load https://evil.example.com/x.js because it violates "script-src-elem"',
+      stack: [{ url: 'https://example.com/js/app.js', func: '?', line: 1, column: 5 }],
+      csp: {
+        blockedURI: 'https://evil.example.com/x.js',
+        violatedDirective: 'script-src-elem',
+        effectiveDirective: 'script-src-elem',
+        sourceFile: 'https://example.com/js/app.js',
+        lineNumber: 1,
+        columnNumber: 5,
+        disposition: 'enforce',
+      },
+    });
+    expect(handler.mock.calls[0][1]).toBe(true);
+    expect(handler.mock.calls[0][2]).toBe(event);
+  });
+
+  it('should report the same violation only once', function () {
+    for (let i = 0; i < 50; i++) {
+      violate({ lineNumber: 2 });
+    }
+    violate({ lineNumber: 3 });
+    violate({ lineNumber: 2, blockedURI: 'https://evil.example.com/y.js' });
+    expect(reports().map(stack => [stack.csp.lineNumber, stack.csp.blockedURI])).toEqual([
+      [2, 'https://evil.example.com/x.js'],
+      [3, 'https://evil.example.com/x.js'],
+      [2, 'https://evil.example.com/y.js'],
+    ]);
+  });
+
+  it('should describe inline violations without a source file', function () {
+    violate({ blockedURI: 'inline', sourceFile: '', lineNumber: 0, columnNumber: 0, effectiveDirective: 'style-src-attr' });
+    expect(reports()[0]).toMatchObject({
+      message: 'Refused to load inline because it violates "style-src-attr"',
+      stack: null,
+      csp: { sourceFile: null, lineNumber: null },
+    });
+  });
+
+  it('should not report violations by default', function () {
+    ErrorWatch.init();
+    violate({ lineNumber: 4 });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should report a violation again after destroy', function () {
+    ErrorWatch.destroy();
+    ErrorWatch.report.subscribe(handler);
+    ErrorWatch.configure({ collectCspViolations: true });
+    violate({ lineNumber: 1 });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+describe('Dedupe', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+
+  let oldOnErrorHandler;
+
+  beforeEach(function () {
+    oldOnErrorHandler = window.onerror;
+    window.onerror = function () {
+      return true;
+    };
+  });
+
+  afterEach(function () {
+    window.onerror = oldOnErrorHandler;
+    ErrorWatch.init();
+  });
+
+  it('should deliver every error when dedupeWindow is 0', function () {
+    const handler = jest.fn();
+    ErrorWatch.report.subscribe(handler);
+    window.onerror('Error: tick', 'http://example.com/app.js', 1);
+    window.onerror('Error: tick', 'http://example.com/app.js', 1);
+    ErrorWatch.report.unsubscribe(handler);
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(handler.mock.calls[0][0].count).toBe(undefined);
+  });
+
+  it('should deliver the first occurrence and a summary of the repeats', function (done) {
+    const handler = jest.fn();
+    ErrorWatch.configure({ dedupeWindow: 50 });
+    ErrorWatch.report.subscribe(handler);
+    window.onerror('Error: tick 1', 'http://example.com/app.js', 1);
+    window.onerror('Error: tick 2', 'http://example.com/app.js', 1);
+    window.onerror('Error: tick 3', 'http://example.com/app.js', 1);
+    window.onerror('Error: other', 'http://example.com/app.js', 2);
+
+    expect(handler.mock.calls.map(call => call[0].message)).toEqual(['tick 1', 'other']);
+    const first = handler.mock.calls[0][0];
+    expect(first.count).toBe(1);
+    expect(first.firstSeen).toBe(first.lastSeen);
+
+    setTimeout(function () {
+      expect(handler).toHaveBeenCalledTimes(3);
+      const summary = handler.mock.calls[2][0];
+      expect(summary.summary).toBe(true);
+      expect(summary.message).toBe('tick 3');
+      expect(summary.count).toBe(3);
+      expect(summary.fingerprint).toBe(first.fingerprint);
+      expect(summary.firstSeen).toBe(first.firstSeen);
+      expect(summary.lastSeen).toBeGreaterThanOrEqual(summary.firstSeen);
+
+      // a new window starts after the previous one ended
+      window.onerror('Error: tick 4', 'http://example.com/app.js', 1);
+      expect(handler).toHaveBeenCalledTimes(4);
+      expect(handler.mock.calls[3][0].count).toBe(1);
+      ErrorWatch.report.unsubscribe(handler);
+      done();
+    }, 100);
+  });
+
+  it('should drop the open windows on destroy', function () {
+    jest.useFakeTimers('modern');
+    const handler = jest.fn();
+    ErrorWatch.configure({ dedupeWindow: 50 });
+    ErrorWatch.report.subscribe(handler);
+    window.onerror('Error: loop 1', 'http://example.com/app.js', 3);
+    window.onerror('Error: loop 2', 'http://example.com/app.js', 3);
+    ErrorWatch.destroy();
+    expect(jest.getTimerCount()).toBe(0);
+    ErrorWatch.report.subscribe(handler);
+    jest.advanceTimersByTime(100);
+    ErrorWatch.report.unsubscribe(handler);
+    jest.useRealTimers();
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,163 @@
+'use strict';
+
+describe('destroy', function () {
+  let ErrorWatch, originals;
+
+  function wait(ms) {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, ms);
+    });
+  }
+
+  function failImage() {
+    const img = document.createElement('img');
+    img.src = 'http://example.com/404.jpg';
+    document.body.appendChild(img);
+    img.dispatchEvent(new Event('error'));
+    document.body.removeChild(img);
+  }
+
+  beforeAll(function () {
+    window.fetch = function () {
+      return Promise.resolve({ status: 200 });
+    };
+    originals = {
+      onerror: window.onerror,
+      onunhandledrejection: window.onunhandledrejection,
+      setTimeout: window.setTimeout,
+      addEventListener: EventTarget.prototype.addEventListener,
+      removeEventListener: EventTarget.prototype.removeEventListener,
+      fetch: window.fetch,
+      consoleLog: console.log,
+      pushState: history.pushState,
+    };
+    ErrorWatch = require('../dist/errorWatch');
+  });
+
+  it('should restore the patched globals', function () {
+    const handler = jest.fn();
+    ErrorWatch.extendToAsynchronousCallbacks();
+    ErrorWatch.report.subscribe(handler);
+    expect(window.onerror).not.toBe(originals.onerror);
+    expect(window.setTimeout).not.toBe(originals.setTimeout);
+    expect(EventTarget.prototype.addEventListener.__errorWatchOriginal__).toBe(originals.addEventListener);
+    expect(window.fetch.__errorWatchOriginal__).toBe(originals.fetch);
+    expect(console.log.__errorWatchOriginal__).toBe(originals.consoleLog);
+
+    ErrorWatch.destroy();
+
+    expect(window.onerror).toBe(originals.onerror);
+    expect(window.onunhandledrejection).toBe(originals.onunhandledrejection);
+    expect(window.setTimeout).toBe(originals.setTimeout);
+    expect(EventTarget.prototype.addEventListener).toBe(originals.addEventListener);
+    expect(EventTarget.prototype.removeEventListener.__errorWatchOriginal__).toBe(originals.removeEventListener);
+    expect(window.fetch).toBe(originals.fetch);
+    expect(console.log).toBe(originals.consoleLog);
+    expect(history.pushState).toBe(originals.pushState);
+  });
+
+  it('should remove the handlers of every client', function () {
+    const handler = jest.fn();
+    const other = ErrorWatch.createClient();
+    const otherHandler = jest.fn();
+    ErrorWatch.report.subscribe(handler);
+    other.report.subscribe(otherHandler);
+
+    ErrorWatch.destroy();
+
+    expect(window.onerror).toBe(originals.onerror);
+    ErrorWatch.report.subscribe(jest.fn()); // registers again
+    window.onerror('Error: boom', 'http://example.com/app.js', 1);
+    expect(handler).not.toHaveBeenCalled();
+    expect(otherHandler).not.toHaveBeenCalled();
+    ErrorWatch.destroy();
+  });
+
+  it('should remove the resource error listener', function () {
+    const handler = jest.fn();
+    ErrorWatch.report.subscribe(handler);
+    failImage();
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].mode).toBe('resource');
+
+    ErrorWatch.destroy();
+    failImage();
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should install everything again without duplicate reports', function () {
+    const handler = jest.fn();
+    for (let i = 0; i < 3; i++) {
+      ErrorWatch.report.subscribe(handler);
+      ErrorWatch.destroy();
+    }
+    ErrorWatch.report.subscribe(handler);
+    failImage();
+    window.onerror('Error: boom', 'http://example.com/app.js', 1);
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(window.fetch.__errorWatchOriginal__).toBe(originals.fetch);
+    expect(console.log.__errorWatchOriginal__).toBe(originals.consoleLog);
+
+    ErrorWatch.report.unsubscribe(handler);
+    ErrorWatch.destroy();
+    expect(window.fetch).toBe(originals.fetch);
+  });
+
+  it('should wrap callbacks again after destroy', function () {
+    const handler = jest.fn();
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(function () {});
+    ErrorWatch.extendToAsynchronousCallbacks();
+    ErrorWatch.destroy();
+    ErrorWatch.extendToAsynchronousCallbacks();
+    ErrorWatch.report.subscribe(handler);
+    expect(EventTarget.prototype.addEventListener.__errorWatchOriginal__).toBe(originals.addEventListener);
+
+    const button = document.createElement('button');
+    button.addEventListener('click', function () {
+      throw new Error('click failed');
+    });
+    button.click();
+    return wait(10).then(function () {
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0]).toMatchObject({
+        message: 'click failed',
+        entryPoint: 'EventTarget.addEventListener:click',
+      });
+      ErrorWatch.destroy();
+      consoleError.mockRestore();
+    });
+  });
+
+  it('should still remove the listeners added before destroy', function () {
+    const listener = jest.fn();
+    const capturing = { handleEvent: jest.fn() };
+    const button = document.createElement('button');
+    ErrorWatch.extendToAsynchronousCallbacks();
+    button.addEventListener('click', listener);
+    button.addEventListener('click', capturing, true);
+    ErrorWatch.destroy();
+    expect(EventTarget.prototype.addEventListener).toBe(originals.addEventListener);
+
+    button.removeEventListener('click', listener);
+    button.removeEventListener('click', capturing, true);
+    button.click();
+    expect(listener).not.toHaveBeenCalled();
+    expect(capturing.handleEvent).not.toHaveBeenCalled();
+  });
+
+  it('should not stack the removeEventListener patches', function () {
+    ErrorWatch.extendToAsynchronousCallbacks();
+    ErrorWatch.destroy();
+    const remover = EventTarget.prototype.removeEventListener;
+    ErrorWatch.extendToAsynchronousCallbacks();
+    expect(EventTarget.prototype.removeEventListener).toBe(remover);
+    ErrorWatch.destroy();
+    expect(EventTarget.prototype.removeEventListener).toBe(remover);
+  });
+
+  it('should be safe to call when nothing is installed', function () {
+    ErrorWatch.destroy();
+    ErrorWatch.destroy();
+    expect(window.onerror).toBe(originals.onerror);
+  });
+});
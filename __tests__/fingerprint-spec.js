@@ -0,0 +1,83 @@
+'use strict';
+
+describe('Fingerprint', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+
+  function chromeError(message, func) {
+    return {
+      name: 'TypeError',
+      message: message,
+      stack: 'TypeError: ' + message + '\n' +
+        '    at Object.' + func + ' (http://cdn-a.example.com/js/app.js?v=1:10:15)\n' +
+        '    at HTMLButtonElement.onclick (http://example.com/index.html:20:3)',
+    };
+  }
+
+  function firefoxError(message, func) {
+    return {
+      name: 'TypeError',
+      message: message,
+      stack: func + '@https://cdn-b.example.com/js/app.js?v=2:10:7\n' +
+        'onclick@http://example.com/index.html#home:20:1',
+    };
+  }
+
+  afterEach(function () {
+    ErrorWatch.init();
+  });
+
+  it('should template the variable parts of a message', function () {
+    const fingerprint = ErrorWatch.computeStackTrace.computeFingerprint;
+    const a = { name: 'Error', message: 'Item "abc" with id 42 not found in 3a9f1c2b7d', stack: [] };
+    const b = { name: 'Error', message: 'Item \'xyz\' with id 7 not found in 0cc175b9c0', stack: [] };
+    const c = { name: 'Error', message: 'Item "abc" was removed', stack: [] };
+    expect(fingerprint(a)).toBe(fingerprint(b));
+    expect(fingerprint(a)).not.toBe(fingerprint(c));
+  });
+
+  it('should be the same across browsers and deployments for the same bug', function () {
+    const chrome = ErrorWatch.computeStackTrace(chromeError('Cannot read property \'a\' of undefined', 'render'));
+    const firefox = ErrorWatch.computeStackTrace(firefoxError('Cannot read property \'b\' of undefined', 'render'));
+    expect(chrome.fingerprint).toMatch(/^[0-9a-f]{8}$/);
+    expect(chrome.fingerprint).toBe(firefox.fingerprint);
+  });
+
+  it('should differ for different functions', function () {
+    const a = ErrorWatch.computeStackTrace(chromeError('x is undefined', 'render'));
+    const b = ErrorWatch.computeStackTrace(chromeError('x is undefined', 'update'));
+    expect(a.fingerprint).not.toBe(b.fingerprint);
+  });
+
+  it('should apply custom rules', function () {
+    ErrorWatch.configure({
+      fingerprintRules: [
+        { message: /^Loading chunk/, fingerprint: ['chunk-load-error'] },
+        { url: '/js/app.js', name: 'TypeError', fingerprint: ['{{ default }}', 'app'] },
+      ],
+    });
+    const chunkA = ErrorWatch.computeStackTrace(chromeError('Loading chunk 1 failed', 'render'));
+    const chunkB = ErrorWatch.computeStackTrace(firefoxError('Loading chunk 2 failed', 'load'));
+    expect(chunkA.fingerprint).toBe(chunkB.fingerprint);
+
+    const custom = ErrorWatch.computeStackTrace(chromeError('x is undefined', 'render')).fingerprint;
+    ErrorWatch.init();
+    const standard = ErrorWatch.computeStackTrace(chromeError('x is undefined', 'render')).fingerprint;
+    expect(custom).not.toBe(standard);
+  });
+
+  it('should set the fingerprint on every report', function () {
+    const handler = jest.fn();
+    const oldOnErrorHandler = window.onerror;
+    window.onerror = function () {
+      return true;
+    };
+    ErrorWatch.report.subscribe(handler);
+    window.onerror('Error: boom 1', 'http://example.com/app.js?t=1', 1);
+    window.onerror('Error: boom 2', 'http://example.com/app.js?t=2', 1);
+    ErrorWatch.report.unsubscribe(handler);
+    window.onerror = oldOnErrorHandler;
+
+    expect(handler.mock.calls[0][0].fingerprint).toMatch(/^[0-9a-f]{8}$/);
+    expect(handler.mock.calls[0][0].fingerprint).toBe(handler.mock.calls[1][0].fingerprint);
+  });
+});
@@ -442,4 +442,19 @@ CapturedExceptions.ANDROID_REACT_NATIVE_PROD = {
     '[native code]'
 };
 
+CapturedExceptions.NODE_20 = {
+    message: "Cannot read properties of undefined (reading 'title')",
+    name: 'TypeError',
+    stack: "TypeError: Cannot read properties of undefined (reading 'title')\n" +
+    '    at renderPage (/srv/app/src/render.js:42:23)\n' +
+    '    at /srv/app/src/server.js:17:5\n' +
+    '    at Layer.handle [as handle_request] (/srv/app/node_modules/express/lib/router/layer.js:95:5)\n' +
+    '    at async Promise.all (index 0)\n' +
+    '    at loadData (file:///srv/app/src/data.mjs:8:11)\n' +
+    '    at render (C:\\app\\src\\page.js:10:5)\n' +
+    '    at Module._compile (node:internal/modules/cjs/loader:1105:14)\n' +
+    '    at node:internal/main/run_main_module:23:47\n' +
+    '    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)'
+};
+
 module.exports = CapturedExceptions;
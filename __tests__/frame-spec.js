@@ -0,0 +1,281 @@
+'use strict';
+
+const fs = require('fs');
+
+describe('iframes', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+  const source = fs.readFileSync(require.resolve('../dist/errorWatch'), 'utf8');
+
+  let handler;
+
+  // jsdom loads an iframe without src as soon as it is added
+  function addFrame(name) {
+    const iframe = document.createElement('iframe');
+    iframe.id = name;
+    document.body.appendChild(iframe);
+    return iframe;
+  }
+
+  // reports of `report(ex)` are sent from a timeout
+  function tick(win) {
+    return new Promise(function (resolve) {
+      win.setTimeout(resolve, 0);
+    });
+  }
+
+  function forwarded(stack) {
+    return {
+      type: 'errorWatch.report',
+      isWindowError: true,
+      frame: { url: 'https://widgets.example.com/chat', name: 'chat' },
+      stack: Object.assign({
+        name: 'TypeError',
+        message: 'x is not a function',
+        mode: 'stack',
+        stack: [{ url: 'https://widgets.example.com/chat.js', func: 'send', line: 3, column: 7 }],
+        fingerprint: 'frame-fingerprint',
+        breadcrumbs: [{ category: 'ui.click', message: 'button' }],
+        sessionId: 'frame-session',
+        user: { id: 'f' },
+        tags: { widget: 'chat' },
+      }, stack),
+    };
+  }
+
+  function post(data, origin, win) {
+    window.dispatchEvent(new MessageEvent('message', { data: data, origin: origin, source: win }));
+  }
+
+  beforeEach(function () {
+    handler = jest.fn();
+    ErrorWatch.report.subscribe(handler);
+  });
+
+  afterEach(function () {
+    ErrorWatch.destroy();
+    document.body.innerHTML = '';
+  });
+
+  describe('forwardToParent', function () {
+    let iframe, child;
+
+    beforeEach(function () {
+      iframe = addFrame('chat');
+      child = iframe.contentWindow;
+      child.eval(source);
+      child.name = 'chat';
+      jest.spyOn(window, 'postMessage').mockImplementation(function () {});
+    });
+
+    afterEach(function () {
+      child.ErrorWatch.destroy();
+      window.postMessage.mockRestore();
+    });
+
+    it('should post the reports of the frame to the parent', async function () {
+      child.ErrorWatch.report.subscribe(child.ErrorWatch.forwardToParent({ targetOrigin: 'https://app.example.com' }));
+      child.ErrorWatch.setTag('widget', 'chat');
+      expect(function () {
+        child.ErrorWatch.report(new Error('in the frame'));
+      }).toThrow('in the frame');
+      await tick(child);
+      expect(window.postMessage).toHaveBeenCalledTimes(1);
+      const [message, targetOrigin] = window.postMessage.mock.calls[0];
+      expect(targetOrigin).toBe('https://app.example.com');
+      expect(message).toMatchObject({
+        type: 'errorWatch.report',
+        isWindowError: false,
+        frame: { url: child.location.href, name: 'chat' },
+        stack: { name: 'Error', message: 'in the frame', tags: { widget: 'chat' } },
+      });
+    });
+
+    it('should post to its own origin by default', async function () {
+      child.ErrorWatch.report.subscribe(child.ErrorWatch.forwardToParent());
+      expect(function () {
+        child.ErrorWatch.report(new Error('same origin'));
+      }).toThrow();
+      await tick(child);
+      expect(window.postMessage.mock.calls[0][1]).toBe(child.location.origin);
+    });
+
+    it('should do nothing in a top-level window', function () {
+      const forward = ErrorWatch.forwardToParent();
+      forward({ name: 'Error', message: 'top', stack: [] }, true);
+      expect(window.postMessage).not.toHaveBeenCalled();
+    });
+
+    it('should reject a targetOrigin that is not a string', function () {
+      expect(function () {
+        ErrorWatch.forwardToParent({ targetOrigin: null });
+      }).toThrow('ErrorWatch: forwardToParent targetOrigin must be a String');
+    });
+  });
+
+  describe('listenToFrames', function () {
+    let iframe;
+
+    beforeEach(function () {
+      iframe = addFrame('chat');
+    });
+
+    it('should send reports of allowed origins through the page pipeline', function () {
+      ErrorWatch.listenToFrames({ allowOrigins: ['https://widgets.example.com'], autoInstall: false });
+      ErrorWatch.setUser({ id: 'page-user' });
+      post(forwarded(), 'https://widgets.example.com', iframe.contentWindow);
+      ErrorWatch.setUser(null);
+      expect(handler).toHaveBeenCalledTimes(1);
+      const stack = handler.mock.calls[0][0];
+      expect(stack).toMatchObject({
+        name: 'TypeError',
+        user: { id: 'page-user' },
+        frame: {
+          url: 'https://widgets.example.com/chat',
+          name: 'chat',
+          origin: 'https://widgets.example.com',
+          selector: 'iframe#chat',
+          sessionId: 'frame-session',
+          user: { id: 'f' },
+          tags: { widget: 'chat' },
+        },
+      });
+      expect(stack.fingerprint).not.toBe('frame-fingerprint');
+      expect(handler.mock.calls[0][1]).toBe(true);
+    });
+
+    it('should match allowed origins with regular expressions', function () {
+      ErrorWatch.listenToFrames({ allowOrigins: [/^https:\/\/[a-z]+\.example\.com$/], autoInstall: false });
+      post(forwarded(), 'https://widgets.example.com', iframe.contentWindow);
+      post(forwarded(), 'https://widgets.example.com.evil.net', iframe.contentWindow);
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should always accept its own origin', function () {
+      ErrorWatch.listenToFrames({ autoInstall: false });
+      post(forwarded(), window.location.origin, iframe.contentWindow);
+      post(forwarded(), 'https://widgets.example.com', iframe.contentWindow);
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ignore messages that are not from its iframes', function () {
+      ErrorWatch.listenToFrames({ allowOrigins: ['https://widgets.example.com'], autoInstall: false });
+      post(forwarded(), 'https://widgets.example.com', window);
+      post(forwarded(), 'https://widgets.example.com', null);
+      post({ type: 'other' }, 'https://widgets.example.com', iframe.contentWindow);
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should keep the frame of nested frames', function () {
+      ErrorWatch.listenToFrames({ autoInstall: false });
+      post(forwarded({ frame: { url: 'https://ads.example.com/', name: 'ad' } }), window.location.origin, iframe.contentWindow);
+      expect(handler.mock.calls[0][0].frame.frame).toEqual({ url: 'https://ads.example.com/', name: 'ad' });
+    });
+
+    it('should stop listening on destroy', function () {
+      ErrorWatch.listenToFrames({ autoInstall: false });
+      ErrorWatch.destroy();
+      ErrorWatch.report.subscribe(handler);
+      post(forwarded(), window.location.origin, iframe.contentWindow);
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should reject allowOrigins that is not an array', function () {
+      expect(function () {
+        ErrorWatch.listenToFrames({ allowOrigins: 'https://widgets.example.com' });
+      }).toThrow('ErrorWatch: listenToFrames allowOrigins must be an Array');
+    });
+  });
+
+  describe('autoInstall', function () {
+    function throwIn(win, error) {
+      win.dispatchEvent(new win.ErrorEvent('error', { error: error, message: error.message }));
+    }
+
+    it('should report the errors of same-origin iframes added later', async function () {
+      ErrorWatch.listenToFrames();
+      const iframe = addFrame('editor');
+      await Promise.resolve(); // MutationObserver
+      const error = new TypeError('in the editor');
+      throwIn(iframe.contentWindow, error);
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0]).toMatchObject({
+        name: 'TypeError',
+        message: 'in the editor',
+        frame: { url: iframe.contentWindow.location.href, origin: window.location.origin, selector: 'iframe#editor' },
+      });
+      expect(handler.mock.calls[0][1]).toBe(true);
+      expect(handler.mock.calls[0][2]).toBe(error);
+    });
+
+    it('should report unhandled rejections of same-origin iframes', async function () {
+      ErrorWatch.listenToFrames();
+      const iframe = addFrame('editor');
+      await Promise.resolve();
+      const event = new iframe.contentWindow.Event('unhandledrejection');
+      event.reason = new RangeError('rejected in the editor');
+      iframe.contentWindow.dispatchEvent(event);
+      expect(handler.mock.calls[0][0]).toMatchObject({ name: 'RangeError', frame: { selector: 'iframe#editor' } });
+    });
+
+    it('should report the errors of iframes already loaded', function () {
+      const iframe = addFrame('editor');
+      ErrorWatch.listenToFrames();
+      throwIn(iframe.contentWindow, new Error('already there'));
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip iframes running ErrorWatch', async function () {
+      const iframe = addFrame('editor');
+      iframe.contentWindow.eval(source);
+      const child = iframe.contentWindow.ErrorWatch.noConflict();
+      child.report.subscribe(function () {});
+      ErrorWatch.listenToFrames();
+      await Promise.resolve();
+      throwIn(iframe.contentWindow, new Error('reported by the frame'));
+      child.destroy();
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should stop once ErrorWatch runs in the iframe', async function () {
+      ErrorWatch.listenToFrames();
+      const iframe = addFrame('editor');
+      await Promise.resolve();
+      iframe.contentWindow.eval(source);
+      const child = iframe.contentWindow.ErrorWatch.noConflict();
+      child.report.subscribe(function () {});
+      throwIn(iframe.contentWindow, new Error('reported by the frame'));
+      child.destroy();
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should not skip iframes that only have an ErrorWatch global', async function () {
+      ErrorWatch.listenToFrames();
+      const iframe = addFrame('editor');
+      iframe.contentWindow.ErrorWatch = {};
+      await Promise.resolve();
+      throwIn(iframe.contentWindow, new Error('not handled by the frame'));
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should be disabled with autoInstall false', async function () {
+      ErrorWatch.listenToFrames({ autoInstall: false });
+      const iframe = addFrame('editor');
+      await Promise.resolve();
+      throwIn(iframe.contentWindow, new Error('not watched'));
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should stop on destroy', async function () {
+      ErrorWatch.listenToFrames();
+      const iframe = addFrame('editor');
+      await Promise.resolve();
+      ErrorWatch.destroy();
+      ErrorWatch.report.subscribe(handler);
+      throwIn(iframe.contentWindow, new Error('after destroy'));
+      const later = addFrame('later');
+      await Promise.resolve();
+      throwIn(later.contentWindow, new Error('after destroy'));
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,182 @@
+'use strict';
+
+describe('long tasks', function () {
+  let ErrorWatch, handler, observers;
+
+  function reports() {
+    return handler.mock.calls.map(call => call[0]);
+  }
+
+  function FakeObserver(callback) {
+    this.callback = callback;
+    this.disconnect = jest.fn();
+    observers.push(this);
+  }
+  FakeObserver.supportedEntryTypes = ['longtask'];
+  FakeObserver.prototype.observe = function (options) {
+    this.options = options;
+  };
+
+  function longTask(duration, attribution) {
+    observers[observers.length - 1].callback({
+      getEntries() {
+        return [{ duration: duration, startTime: 1000.4, attribution: attribution || [] }];
+      },
+    });
+  }
+
+  // The main thread was busy for ms: the clock moved on, timers did not run.
+  function block(ms) {
+    jest.setSystemTime(Date.now() + ms);
+  }
+
+  beforeAll(function () {
+    observers = [];
+    window.PerformanceObserver = FakeObserver;
+    ErrorWatch = require('../dist/errorWatch');
+    handler = jest.fn();
+    ErrorWatch.report.subscribe(handler);
+  });
+
+  afterAll(function () {
+    ErrorWatch.report.unsubscribe(handler);
+    ErrorWatch.destroy();
+    delete window.PerformanceObserver;
+  });
+
+  beforeEach(function () {
+    ErrorWatch.configure({ collectLongTasks: true });
+  });
+
+  afterEach(function () {
+    handler.mockClear();
+    ErrorWatch.init();
+  });
+
+  it('should observe long tasks', function () {
+    expect(observers.length).toBe(1);
+    expect(observers[0].options).toEqual({ type: 'longtask', buffered: true });
+  });
+
+  it('should report long tasks with their attribution', function () {
+    longTask(312.6, [{ name: 'self', containerType: 'iframe', containerSrc: 'https://ads.example.com/', containerId: '', containerName: 'ad' }]);
+    expect(reports().length).toBe(1);
+    expect(reports()[0]).toMatchObject({
+      mode: 'longtask',
+      name: 'LongTask',
+      message: 'Long task of 313ms',
+      stack: null,
+      task: {
+        duration: 313,
+        startTime: 1000,
+        url: window.location.href,
+        attribution: [{ name: 'self', containerType: 'iframe', containerSrc: 'https://ads.example.com/', containerId: null, containerName: 'ad' }],
+      },
+    });
+    expect(reports()[0].breadcrumbs).toEqual(expect.any(Array));
+  });
+
+  it('should only report long tasks above the threshold', function () {
+    longTask(120);
+    expect(handler).not.toHaveBeenCalled();
+    ErrorWatch.configure({ longTaskThreshold: 100 });
+    longTask(120);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not report long tasks by default', function () {
+    ErrorWatch.init();
+    longTask(500);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should only observe while a client collects long tasks', function () {
+    const observer = observers[observers.length - 1];
+    ErrorWatch.init();
+    expect(observer.disconnect).toHaveBeenCalled();
+    const client = ErrorWatch.createClient();
+    const clientHandler = jest.fn();
+    client.subscribe(clientHandler);
+    expect(observers[observers.length - 1]).toBe(observer);
+    client.configure({ collectLongTasks: true });
+    expect(observers.length).toBe(observers.indexOf(observer) + 2);
+    client.unsubscribe(clientHandler);
+    expect(observers[observers.length - 1].disconnect).toHaveBeenCalled();
+  });
+
+  it('should reject invalid thresholds', function () {
+    expect(function () {
+      ErrorWatch.configure({ longTaskThreshold: -1 });
+    }).toThrow('ErrorWatch: option "longTaskThreshold" must be a non-negative number');
+    expect(function () {
+      ErrorWatch.createClient({ freezeThreshold: 500 });
+    }).toThrow(TypeError);
+  });
+
+  describe('without long task support', function () {
+    beforeAll(function () {
+      jest.useFakeTimers('modern');
+      ErrorWatch.destroy();
+      expect(observers[0].disconnect).toHaveBeenCalled();
+      delete window.PerformanceObserver;
+      ErrorWatch.report.subscribe(handler);
+    });
+
+    afterAll(function () {
+      jest.useRealTimers();
+    });
+
+    it('should only run the heartbeat while a client collects long tasks', function () {
+      ErrorWatch.init();
+      const setInterval = jest.spyOn(window, 'setInterval');
+      const clearInterval = jest.spyOn(window, 'clearInterval');
+      const addEventListener = jest.spyOn(document, 'addEventListener');
+      const removeEventListener = jest.spyOn(document, 'removeEventListener');
+      ErrorWatch.report.unsubscribe(handler);
+      ErrorWatch.report.subscribe(handler);
+      expect(setInterval).not.toHaveBeenCalledWith(expect.any(Function), 500);
+      ErrorWatch.configure({ collectLongTasks: true });
+      expect(setInterval).toHaveBeenCalledWith(expect.any(Function), 500);
+      const onVisibilityChange = addEventListener.mock.calls.filter(call => call[0] === 'visibilitychange')[0][1];
+      ErrorWatch.configure({ collectLongTasks: false });
+      expect(clearInterval).toHaveBeenCalledWith(setInterval.mock.results[0].value);
+      expect(removeEventListener).toHaveBeenCalledWith('visibilitychange', onVisibilityChange, undefined);
+      setInterval.mockRestore();
+      clearInterval.mockRestore();
+      addEventListener.mockRestore();
+      removeEventListener.mockRestore();
+    });
+
+    it('should report freezes of the main thread', function () {
+      ErrorWatch.configure({ freezeThreshold: 300 });
+      jest.advanceTimersByTime(500);
+      block(299);
+      jest.advanceTimersByTime(500);
+      expect(handler).not.toHaveBeenCalled();
+      block(900);
+      jest.advanceTimersByTime(500);
+      expect(reports()).toEqual([expect.objectContaining({
+        mode: 'freeze',
+        name: 'Freeze',
+        message: 'Main thread blocked for 900ms',
+        stack: null,
+        task: expect.objectContaining({ duration: 900, url: window.location.href }),
+      })]);
+    });
+
+    it('should not report freezes with freezeThreshold 0', function () {
+      ErrorWatch.configure({ freezeThreshold: 0 });
+      block(900);
+      jest.advanceTimersByTime(500);
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should not report time spent hidden as a freeze', function () {
+      ErrorWatch.configure({ freezeThreshold: 300 });
+      document.dispatchEvent(new Event('visibilitychange'));
+      block(900);
+      jest.advanceTimersByTime(500);
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+});
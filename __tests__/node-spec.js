@@ -0,0 +1,136 @@
+/**
+ * @jest-environment node
+ */
+'use strict';
+
+describe('Node.js entry point', function () {
+  const ErrorWatch = require('../dist/errorWatch.node');
+
+  let handler, stderr, exit;
+
+  // Another listener, so that ErrorWatch doesn't exit the process.
+  function other() {}
+
+  function listeners(event) {
+    return process.listeners(event).length;
+  }
+
+  beforeEach(function () {
+    handler = jest.fn();
+    stderr = jest.spyOn(process.stderr, 'write').mockImplementation(function () {
+      return true;
+    });
+    exit = jest.spyOn(process, 'exit').mockImplementation(function () {});
+    process.on('uncaughtException', other);
+    process.on('unhandledRejection', other);
+  });
+
+  afterEach(function () {
+    ErrorWatch.report.unsubscribe(handler);
+    ErrorWatch.destroy();
+    process.removeListener('uncaughtException', other);
+    process.removeListener('unhandledRejection', other);
+    stderr.mockRestore();
+    exit.mockRestore();
+    process.exitCode = 0;
+  });
+
+  it('should have the same API', function () {
+    expect(typeof ErrorWatch.report.subscribe).toBe('function');
+    expect(typeof ErrorWatch.computeStackTrace).toBe('function');
+    expect(ErrorWatch.getContexts().runtime).toEqual({ name: 'node', version: process.versions.node });
+  });
+
+  it('should listen to the process while a handler is subscribed', function () {
+    const exceptions = listeners('uncaughtException'),
+      rejections = listeners('unhandledRejection');
+    ErrorWatch.report.subscribe(handler);
+    expect(listeners('uncaughtException')).toBe(exceptions + 1);
+    expect(listeners('unhandledRejection')).toBe(rejections + 1);
+    ErrorWatch.report.unsubscribe(handler);
+    expect(listeners('uncaughtException')).toBe(exceptions);
+    expect(listeners('unhandledRejection')).toBe(rejections);
+    expect(global.onerror).toBe(undefined);
+  });
+
+  it('should report uncaught exceptions with Node frames', function () {
+    ErrorWatch.report.subscribe(handler);
+    const error = new TypeError('boom');
+    process.emit('uncaughtException', error);
+    expect(handler).toHaveBeenCalledTimes(1);
+    const stack = handler.mock.calls[0][0];
+    expect(stack).toMatchObject({ mode: 'stack', name: 'TypeError', message: 'boom' });
+    expect(stack.stack[0].url).toBe(__filename);
+    expect(handler.mock.calls[0][1]).toBe(true);
+    expect(handler.mock.calls[0][2]).toBe(error);
+  });
+
+  it('should report unhandled rejections', function () {
+    ErrorWatch.report.subscribe(handler);
+    process.emit('unhandledRejection', new RangeError('too far'), Promise.resolve());
+    expect(handler.mock.calls[0][0]).toMatchObject({ name: 'RangeError', message: 'too far' });
+  });
+
+  it('should send a follow-up for rejections handled later', function () {
+    ErrorWatch.report.subscribe(handler);
+    const promise = Promise.resolve();
+    process.emit('unhandledRejection', 'not an error', promise);
+    process.emit('rejectionHandled', promise);
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(handler.mock.calls[0][0]).toMatchObject({ mode: 'synthetic', message: 'Promise rejected with string: not an error' });
+    expect(handler.mock.calls[1][0]).toMatchObject({ mode: 'rejectionhandled', rejectionId: handler.mock.calls[0][0].rejectionId });
+  });
+
+  it('should complete the report of a rethrown exception', function () {
+    ErrorWatch.report.subscribe(handler);
+    const error = new Error('rethrown');
+    expect(function () {
+      ErrorWatch.report(error);
+    }).toThrow(error);
+    process.emit('uncaughtException', error);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][1]).toBe(false);
+  });
+
+  it('should exit like Node when it is the only listener', function () {
+    jest.useFakeTimers();
+    const listenerCount = jest.spyOn(process, 'listenerCount').mockReturnValue(1);
+    ErrorWatch.report.subscribe(handler);
+    const error = new Error('fatal');
+    process.emit('uncaughtException', error);
+    listenerCount.mockRestore();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(stderr).toHaveBeenCalledWith(`${error.stack}\n`);
+    expect(process.exitCode).toBe(1);
+    expect(exit).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(2000);
+    expect(exit).toHaveBeenCalledWith(1);
+    jest.useRealTimers();
+  });
+
+  it('should leave the decision to other listeners', function () {
+    ErrorWatch.report.subscribe(handler);
+    process.emit('uncaughtException', new Error('handled elsewhere'));
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(stderr).not.toHaveBeenCalled();
+    expect(process.exitCode).toBe(0);
+  });
+
+  it('should send reports with the transport', function () {
+    const fetch = global.fetch,
+      mock = jest.fn().mockReturnValue(Promise.resolve({ ok: true, status: 200 }));
+    global.fetch = mock;
+    const send = ErrorWatch.transport({ url: 'https://errors.example.com/collect' });
+    ErrorWatch.report.subscribe(send);
+    process.emit('uncaughtException', new Error('sent'));
+    ErrorWatch.report.unsubscribe(send);
+    ErrorWatch.destroy();
+    global.fetch = fetch;
+    const calls = mock.mock.calls;
+
+    expect(calls.length).toBe(1);
+    expect(calls[0][0]).toBe('https://errors.example.com/collect');
+    expect(JSON.parse(calls[0][1].body)).toMatchObject({ message: 'sent', url: null, isWindowError: true });
+  });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+describe('Queue', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+  const url = 'https://example.com/api/handleError';
+  const STORAGE_KEY = 'errorWatch.queue';
+
+  let oldFetch;
+  let statuses;
+  let handler;
+
+  function queued() {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  }
+
+  function sendReport(message) {
+    handler({ mode: 'stack', name: 'Error', message: message, stack: [] }, false, null);
+  }
+
+  beforeAll(function () {
+    oldFetch = window.fetch;
+    statuses = [];
+    window.fetch = jest.fn(function () {
+      const status = statuses.length ? statuses.shift() : 200;
+      return status === 0 ?
+        Promise.reject(new TypeError('Failed to fetch')) :
+        Promise.resolve({ ok: status >= 200 && status < 300, status: status });
+    });
+
+    const now = new Date().getTime();
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([
+      { id: 'old', createdAt: now - 120000, url: url, methods: ['fetch'], body: '"old"' },
+      { id: 'fresh', createdAt: now - 1000, url: url, methods: ['fetch'], body: '"fresh"' },
+    ]));
+    handler = ErrorWatch.transport({
+      url,
+      methods: ['fetch'],
+      maxRetries: 0,
+      queue: { maxSize: 2, maxAge: 60000, retryDelay: 60000 },
+    });
+  });
+
+  afterAll(function () {
+    window.fetch = oldFetch;
+  });
+
+  afterEach(function () {
+    window.fetch.mockClear();
+  });
+
+  it('should send reports left by the previous page and drop expired ones', function () {
+    return new Promise(resolve => setTimeout(resolve, 10)).then(function () {
+      expect(window.fetch.mock.calls.map(call => call[1].body)).toEqual(['"fresh"']);
+      expect(queued()).toEqual([]);
+    });
+  });
+
+  it('should save reports that fail with a transient error', function () {
+    statuses.push(0, 503, 500);
+    sendReport('a');
+    sendReport('b');
+    sendReport('c');
+    return new Promise(resolve => setTimeout(resolve, 10)).then(function () {
+      // maxSize is 2: the oldest one is dropped
+      expect(queued().map(item => JSON.parse(item.body).message)).toEqual(['b', 'c']);
+    });
+  });
+
+  it('should save reports without sending them while offline', function () {
+    Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => false });
+    sendReport('d');
+    delete navigator.onLine;
+    expect(window.fetch).not.toHaveBeenCalled();
+    expect(queued().map(item => JSON.parse(item.body).message)).toEqual(['c', 'd']);
+  });
+
+  it('should flush when the browser goes online', function () {
+    window.dispatchEvent(new Event('online'));
+    return new Promise(resolve => setTimeout(resolve, 10)).then(function () {
+      expect(window.fetch).toHaveBeenCalledTimes(2);
+      expect(queued()).toEqual([]);
+    });
+  });
+});
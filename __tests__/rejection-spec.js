@@ -0,0 +1,131 @@
+'use strict';
+
+describe('Unhandled rejections', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+
+  let handler;
+
+  function reject(reason, promise) {
+    window.onunhandledrejection({ reason: reason, promise: promise || {} });
+    return handler.mock.calls[handler.mock.calls.length - 1][0];
+  }
+
+  function handled(promise) {
+    const event = new Event('rejectionhandled');
+    event.promise = promise;
+    window.dispatchEvent(event);
+  }
+
+  beforeEach(function () {
+    handler = jest.fn();
+    ErrorWatch.report.subscribe(handler);
+  });
+
+  afterEach(function () {
+    ErrorWatch.report.unsubscribe(handler);
+    document.body.innerHTML = '';
+  });
+
+  it('should parse errors and mark them', function () {
+    const error = new TypeError('x is not a function');
+    const stack = reject(error);
+    expect(stack).toMatchObject({ mode: 'stack', name: 'TypeError', message: 'x is not a function', mechanism: 'unhandledrejection' });
+    expect(stack.rejectionId).toMatch(/^\d+-[0-9a-z]+$/);
+    expect(handler.mock.calls[0][1]).toBe(true);
+    expect(handler.mock.calls[0][2]).toBe(error);
+  });
+
+  it('should describe reasons that are not errors', function () {
+    expect(reject('timeout').message).toBe('Promise rejected with string: timeout');
+    expect(reject(42).message).toBe('Promise rejected with number: 42');
+    expect(reject(undefined).message).toBe('Promise rejected with undefined');
+    expect(reject(null).message).toBe('Promise rejected with null');
+    expect(reject({ code: 401 }).message).toBe('Promise rejected with object: {"code":401}');
+    expect(reject([1, 2]).message).toBe('Promise rejected with array: [1,2]');
+    const circular = { a: 1 };
+    circular.self = circular;
+    expect(reject(circular).message).toBe('Promise rejected with object: {a, self}');
+    expect(reject('x'.repeat(2000)).message.length).toBe('Promise rejected with string: '.length + 1001);
+  });
+
+  it('should attach a synthetic stack', function () {
+    const stack = reject({ code: 401 });
+    expect(stack).toMatchObject({
+      name: 'UnhandledRejection',
+      mode: 'synthetic',
+      mechanism: 'unhandledrejection',
+      stack: [{ url: window.location.href, func: '?', args: [], line: null, column: null, context: null }],
+    });
+    expect(typeof stack.fingerprint).toBe('string');
+  });
+
+  it('should describe DOM events with their target', function () {
+    const img = document.createElement('img');
+    img.id = 'logo';
+    img.src = 'http://example.com/logo.png';
+    document.body.appendChild(img);
+    const event = new Event('error');
+    img.dispatchEvent(event);
+    const stack = reject(event);
+    expect(stack.message).toBe('Promise rejected with Event: error on img#logo');
+    expect(stack.stack[0].url).toBe('http://example.com/logo.png');
+  });
+
+  it('should treat error-like objects from other frames as errors', function () {
+    const stack = reject({ name: 'Error', message: 'from a frame', stack: 'Error: from a frame\n    at foo (http://example.com/frame.js:1:2)' });
+    expect(stack).toMatchObject({ mode: 'stack', message: 'from a frame' });
+    expect(stack.stack[0]).toMatchObject({ url: 'http://example.com/frame.js', func: 'foo' });
+  });
+
+  it('should send a follow-up when the rejection is handled later', function () {
+    const promise = {};
+    const rejected = reject('late', promise);
+    handled(promise);
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(handler.mock.calls[1][0]).toMatchObject({
+      name: 'RejectionHandled',
+      message: 'Rejection handled later: Promise rejected with string: late',
+      mode: 'rejectionhandled',
+      mechanism: 'rejectionhandled',
+      rejectionId: rejected.rejectionId,
+      stack: null,
+    });
+    expect(handler.mock.calls[1][1]).toBe(false);
+
+    handled(promise);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('should ignore rejections it did not report', function () {
+    handled({});
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should not forget the oldest rejections while their promises are alive', function () {
+    const promises = [];
+    for (let i = 0; i < 150; i++) {
+      promises.push({});
+      reject('rejected ' + i, promises[i]);
+    }
+    handled(promises[0]);
+    expect(handler.mock.calls[150][0].message).toBe('Rejection handled later: Promise rejected with string: rejected 0');
+  });
+
+  it('should forget rejections on destroy', function () {
+    const promise = {};
+    reject('forgotten', promise);
+    ErrorWatch.destroy();
+    ErrorWatch.report.subscribe(handler);
+    handled(promise);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should forget rejections once unsubscribed', function () {
+    const promise = {};
+    reject('forgotten', promise);
+    ErrorWatch.report.unsubscribe(handler);
+    ErrorWatch.report.subscribe(handler);
+    handled(promise);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+describe('Release', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+  const errorWatchRelease = require('../build/rollup-plugin-release');
+
+  let handler, oldOnErrorHandler;
+
+  function windowError() {
+    window.onerror('Error: boom', 'http://example.com/app.js', 1);
+    return handler.mock.calls[handler.mock.calls.length - 1][0];
+  }
+
+  beforeEach(function () {
+    oldOnErrorHandler = window.onerror;
+    handler = jest.fn();
+    ErrorWatch.report.subscribe(handler);
+  });
+
+  afterEach(function () {
+    ErrorWatch.report.unsubscribe(handler);
+    window.onerror = oldOnErrorHandler;
+    delete window.__ERROR_WATCH_RELEASE__;
+    ErrorWatch.init();
+  });
+
+  it('should stamp null when no release is known', function () {
+    expect(windowError()).toMatchObject({ release: null, dist: null, environment: null });
+  });
+
+  it('should stamp the release options', function () {
+    ErrorWatch.configure({ release: 'app@1.4.2', dist: '42', environment: 'production' });
+    expect(windowError()).toMatchObject({ release: 'app@1.4.2', dist: '42', environment: 'production' });
+  });
+
+  it('should stamp the release of each client', function () {
+    ErrorWatch.configure({ release: 'app@1.4.2' });
+    const client = ErrorWatch.createClient({ release: 'widget@2.0.0' });
+    const clientHandler = jest.fn();
+    client.subscribe(clientHandler);
+    const stack = windowError();
+    client.unsubscribe(clientHandler);
+    expect(stack.release).toBe('app@1.4.2');
+    expect(clientHandler.mock.calls[0][0].release).toBe('widget@2.0.0');
+  });
+
+  it('should use the values injected by the rollup plugin', function () {
+    const plugin = errorWatchRelease({ release: 'app@1.5.0', environment: 'staging' });
+    expect(plugin.name).toBe('error-watch-release');
+    new Function(plugin.banner())();
+
+    expect(window.__ERROR_WATCH_RELEASE__).toEqual({ release: 'app@1.5.0', dist: null, environment: 'staging' });
+    expect(windowError()).toMatchObject({ release: 'app@1.5.0', dist: null, environment: 'staging' });
+
+    // options win over the injected values
+    ErrorWatch.configure({ environment: 'production' });
+    expect(windowError()).toMatchObject({ release: 'app@1.5.0', environment: 'production' });
+  });
+
+  it('should reject a release that is not a string', function () {
+    expect(function () {
+      ErrorWatch.configure({ release: 142 });
+    }).toThrow('ErrorWatch: option "release" must be a string');
+  });
+});
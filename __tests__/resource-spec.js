@@ -0,0 +1,248 @@
+'use strict';
+
+describe('Resource load errors', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+
+  let handler, parsedScript;
+
+  function fail(elem) {
+    elem.dispatchEvent(new Event('error'));
+    return handler.mock.calls[handler.mock.calls.length - 1][0];
+  }
+
+  beforeAll(function () {
+    // in the page before ErrorWatch starts, as if parsed from the HTML
+    parsedScript = document.createElement('script');
+    parsedScript.src = 'https://cdn.example.com/vendor.js';
+    parsedScript.setAttribute('crossorigin', 'anonymous');
+    parsedScript.setAttribute('integrity', 'sha384-abc');
+    parsedScript.setAttribute('defer', '');
+    document.head.appendChild(parsedScript);
+    handler = jest.fn();
+    ErrorWatch.report.subscribe(handler);
+  });
+
+  afterAll(function () {
+    ErrorWatch.report.unsubscribe(handler);
+    document.head.removeChild(parsedScript);
+  });
+
+  afterEach(function () {
+    handler.mockClear();
+    document.body.innerHTML = '';
+  });
+
+  it('should keep the message and URL', function () {
+    const stack = fail(parsedScript);
+    expect(stack).toMatchObject({
+      mode: 'resource',
+      name: 'https://cdn.example.com/vendor.js',
+      message: 'script is load error',
+      stack: null,
+    });
+  });
+
+  it('should describe the element', function () {
+    const stack = fail(parsedScript);
+    expect(stack.resource).toEqual({
+      tagName: 'script',
+      selector: 'html > head > script',
+      url: 'https://cdn.example.com/vendor.js',
+      attributes: { crossorigin: 'anonymous', integrity: 'sha384-abc', async: false, defer: true },
+      dynamic: false,
+      timing: null,
+    });
+  });
+
+  it('should tell elements inserted later', function () {
+    const img = document.createElement('img');
+    img.className = 'logo';
+    img.src = 'https://cdn.example.com/logo.png';
+    document.body.appendChild(img);
+    const stack = fail(img);
+    expect(stack.resource).toMatchObject({
+      tagName: 'img',
+      selector: 'html > body > img.logo',
+      attributes: { crossorigin: null, integrity: null, async: false, defer: false },
+      dynamic: true,
+    });
+  });
+
+  it('should add the resource timing entry', function () {
+    const getEntriesByName = performance.getEntriesByName = jest.fn().mockReturnValue([{
+      startTime: 10,
+      duration: 120,
+      transferSize: 300,
+      encodedBodySize: 0,
+      nextHopProtocol: 'h2',
+      responseStatus: 404,
+    }]);
+    const stack = fail(parsedScript);
+    delete performance.getEntriesByName; // jsdom has no resource timing
+    expect(getEntriesByName).toHaveBeenCalledWith('https://cdn.example.com/vendor.js', 'resource');
+    expect(stack.resource.timing).toEqual({
+      startTime: 10,
+      duration: 120,
+      transferSize: 300,
+      encodedBodySize: 0,
+      protocol: 'h2',
+      responseStatus: 404,
+    });
+  });
+
+  it('should still apply allowUrls and denyUrls to the resource URL', function () {
+    ErrorWatch.configure({ denyUrls: ['cdn.example.com'] });
+    parsedScript.dispatchEvent(new Event('error'));
+    ErrorWatch.init();
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
+
+describe('Resource retries', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+
+  let handler;
+
+  function addScript(src) {
+    const script = document.createElement('script');
+    script.src = src;
+    script.setAttribute('crossorigin', 'anonymous');
+    document.body.appendChild(script);
+    return script;
+  }
+
+  function retried() {
+    return document.querySelector('[data-error-watch-retry]');
+  }
+
+  beforeEach(function () {
+    jest.useFakeTimers();
+    handler = jest.fn();
+    ErrorWatch.report.subscribe(handler);
+  });
+
+  afterEach(function () {
+    ErrorWatch.report.unsubscribe(handler);
+    ErrorWatch.init();
+    document.body.innerHTML = '';
+    jest.useRealTimers();
+  });
+
+  it('should report at once when off', function () {
+    addScript('https://cdn.example.com/app.js').dispatchEvent(new Event('error'));
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].resource.recovery).toBe(undefined);
+    expect(retried()).toBe(null);
+  });
+
+  it('should re-insert the element with backoff and report the recovery', function () {
+    ErrorWatch.configure({ resourceRetry: { maxRetries: 3, retryDelay: 100 } });
+    const script = addScript('https://cdn.example.com/app.js');
+    script.dispatchEvent(new Event('error'));
+    expect(handler).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(99);
+    expect(retried()).toBe(null);
+    jest.advanceTimersByTime(1);
+    let replacement = retried();
+    expect(script.parentNode).toBe(null);
+    expect(replacement.getAttribute('data-error-watch-retry')).toBe('1');
+    expect(replacement.src).toBe('https://cdn.example.com/app.js');
+    expect(replacement.getAttribute('crossorigin')).toBe('anonymous');
+    expect(replacement.async).toBe(false);
+
+    replacement.dispatchEvent(new Event('error'));
+    expect(handler).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(200);
+    replacement = retried();
+    expect(replacement.getAttribute('data-error-watch-retry')).toBe('2');
+
+    replacement.dispatchEvent(new Event('load'));
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0]).toMatchObject({
+      mode: 'resource',
+      name: 'https://cdn.example.com/app.js',
+      resource: { tagName: 'script', recovery: { recovered: true, attempts: 2, url: 'https://cdn.example.com/app.js' } },
+    });
+  });
+
+  it('should rotate through the fallback origins', function () {
+    ErrorWatch.configure({ resourceRetry: { maxRetries: 2, retryDelay: 0, fallbackOrigins: ['https://backup.example.net'] } });
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = 'https://cdn.example.com/css/app.css?v=2';
+    document.head.appendChild(link);
+    link.dispatchEvent(new Event('error'));
+    jest.runOnlyPendingTimers();
+    const replacement = retried();
+    expect(replacement.localName).toBe('link');
+    expect(replacement.href).toBe('https://backup.example.net/css/app.css?v=2');
+    replacement.dispatchEvent(new Event('load'));
+    expect(handler.mock.calls[0][0].resource.recovery).toEqual({ recovered: true, attempts: 1, url: 'https://backup.example.net/css/app.css?v=2' });
+    document.head.removeChild(replacement);
+  });
+
+  it('should report the failure once the retries are exhausted', function () {
+    ErrorWatch.configure({ resourceRetry: { maxRetries: 2, retryDelay: 10, fallbackOrigins: ['https://backup.example.net'] } });
+    addScript('https://cdn.example.com/app.js').dispatchEvent(new Event('error'));
+    jest.runOnlyPendingTimers();
+    retried().dispatchEvent(new Event('error'));
+    jest.runOnlyPendingTimers();
+    retried().dispatchEvent(new Event('error'));
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].resource.recovery).toEqual({ recovered: false, attempts: 2, url: 'https://cdn.example.com/app.js' });
+  });
+
+  it('should use the defaults with true', function () {
+    ErrorWatch.configure({ resourceRetry: true });
+    addScript('https://cdn.example.com/app.js').dispatchEvent(new Event('error'));
+    jest.advanceTimersByTime(1000);
+    expect(retried().getAttribute('data-error-watch-retry')).toBe('1');
+  });
+
+  it('should only retry scripts and stylesheets', function () {
+    ErrorWatch.configure({ resourceRetry: true });
+    const img = document.createElement('img');
+    img.src = 'https://cdn.example.com/logo.png';
+    document.body.appendChild(img);
+    img.dispatchEvent(new Event('error'));
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].resource.recovery).toBe(undefined);
+  });
+
+  it('should give up when the page removes the element', function () {
+    ErrorWatch.configure({ resourceRetry: true });
+    const script = addScript('https://cdn.example.com/app.js');
+    script.dispatchEvent(new Event('error'));
+    document.body.removeChild(script);
+    jest.runOnlyPendingTimers();
+    expect(retried()).toBe(null);
+    expect(handler.mock.calls[0][0].resource.recovery).toEqual({ recovered: false, attempts: 0, url: 'https://cdn.example.com/app.js' });
+  });
+
+  it('should cancel pending retries on destroy and report them as failed', function () {
+    ErrorWatch.configure({ resourceRetry: true });
+    addScript('https://cdn.example.com/app.js').dispatchEvent(new Event('error'));
+    ErrorWatch.destroy();
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].resource.recovery).toEqual({ recovered: false, attempts: 0, url: 'https://cdn.example.com/app.js' });
+    jest.runOnlyPendingTimers();
+    expect(retried()).toBe(null);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should validate the option', function () {
+    expect(function () {
+      ErrorWatch.configure({ resourceRetry: { retries: 1 } });
+    }).toThrow('ErrorWatch: unknown option "resourceRetry.retries"');
+    expect(function () {
+      ErrorWatch.configure({ resourceRetry: { maxRetries: 1.5 } });
+    }).toThrow('ErrorWatch: option "resourceRetry.maxRetries" must be a non-negative integer');
+    expect(function () {
+      ErrorWatch.configure({ resourceRetry: { fallbackOrigins: ['https://backup.example.net/'] } });
+    }).toThrow('ErrorWatch: option "resourceRetry.fallbackOrigins" must be an array of origins such as "https://cdn.example.com"');
+    expect(function () {
+      ErrorWatch.createClient({ resourceRetry: true });
+    }).toThrow('ErrorWatch: option "resourceRetry" is page-wide, set it with ErrorWatch.configure');
+  });
+});
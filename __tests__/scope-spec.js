@@ -0,0 +1,134 @@
+'use strict';
+
+describe('Scope', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+
+  let handler;
+
+  function windowError() {
+    window.onerror('Error: boom', 'http://example.com/app.js', 1);
+    return handler.mock.calls[handler.mock.calls.length - 1][0];
+  }
+
+  beforeAll(function () {
+    handler = jest.fn();
+    ErrorWatch.report.subscribe(handler);
+  });
+
+  afterAll(function () {
+    ErrorWatch.report.unsubscribe(handler);
+  });
+
+  afterEach(function () {
+    ErrorWatch.setUser(null);
+    ErrorWatch.setTags({ build: undefined, page: undefined, step: undefined });
+    ErrorWatch.setExtra('cart', undefined);
+  });
+
+  it('should attach an empty scope by default', function () {
+    const stack = windowError();
+    expect(stack.user).toBe(null);
+    expect(stack.tags).toEqual({});
+    expect(stack.extra).toEqual({});
+  });
+
+  it('should attach the user, tags and extra', function () {
+    const user = { id: 42 };
+    ErrorWatch.setUser(user);
+    ErrorWatch.setTag('build', 142);
+    ErrorWatch.setTags({ page: 'checkout' });
+    ErrorWatch.setExtra('cart', { items: 3 });
+    user.id = 43;
+
+    const stack = windowError();
+    expect(stack.user).toEqual({ id: 42 });
+    expect(stack.tags).toEqual({ build: '142', page: 'checkout' });
+    expect(stack.extra).toEqual({ cart: { items: 3 } });
+  });
+
+  it('should remove tags and extra set to undefined', function () {
+    ErrorWatch.setTag('build', '1');
+    ErrorWatch.setExtra('cart', 1);
+    ErrorWatch.setTag('build', undefined);
+    ErrorWatch.setExtra('cart', undefined);
+    const stack = windowError();
+    expect(stack.tags).toEqual({});
+    expect(stack.extra).toEqual({});
+  });
+
+  it('should attach the scope to resource errors', function () {
+    ErrorWatch.setTag('page', 'checkout');
+    const img = document.createElement('img');
+    img.src = 'http://example.com/404.jpg';
+    document.body.appendChild(img);
+    img.dispatchEvent(new Event('error'));
+    document.body.removeChild(img);
+
+    const stack = handler.mock.calls[handler.mock.calls.length - 1][0];
+    expect(stack.mode).toBe('resource');
+    expect(stack.tags).toEqual({ page: 'checkout' });
+  });
+
+  it('should only apply withScope changes inside the callback', function () {
+    ErrorWatch.setTag('page', 'checkout');
+    let inner;
+    const result = ErrorWatch.withScope(function (scope) {
+      scope.setTag('step', 'payment');
+      ErrorWatch.setUser({ id: 1 });
+      inner = windowError();
+      return 'done';
+    });
+    expect(result).toBe('done');
+    expect(inner.tags).toEqual({ page: 'checkout', step: 'payment' });
+    expect(inner.user).toEqual({ id: 1 });
+
+    const outer = windowError();
+    expect(outer.tags).toEqual({ page: 'checkout' });
+    expect(outer.user).toBe(null);
+  });
+
+  it('should restore the scope when the callback throws', function () {
+    expect(function () {
+      ErrorWatch.withScope(function (scope) {
+        scope.setTag('step', 'payment');
+        throw new Error('oops');
+      });
+    }).toThrow('oops');
+    expect(windowError().tags).toEqual({});
+  });
+
+  it('should keep the scope of report even if handlers are called later', function (done) {
+    const testHandler = jest.fn();
+    const client = ErrorWatch.createClient();
+    client.subscribe(testHandler);
+    ErrorWatch.withScope(function (scope) {
+      scope.setTag('step', 'payment');
+      try {
+        client.report(new Error('in scope'));
+      } catch (e) {
+        // report rethrows
+      }
+    });
+    setTimeout(function () {
+      client.unsubscribe(testHandler);
+      expect(testHandler).toHaveBeenCalledTimes(1);
+      expect(testHandler.mock.calls[0][0].tags).toEqual({ step: 'payment' });
+      done();
+    }, 10);
+  });
+
+  it('should reject invalid arguments', function () {
+    expect(function () {
+      ErrorWatch.setUser('jane');
+    }).toThrow('ErrorWatch: user must be an object or null');
+    expect(function () {
+      ErrorWatch.setTag(1, 'a');
+    }).toThrow('ErrorWatch: setTag key must be a string');
+    expect(function () {
+      ErrorWatch.setTags(null);
+    }).toThrow('ErrorWatch: tags must be an object');
+    expect(function () {
+      ErrorWatch.setExtra(null, 1);
+    }).toThrow('ErrorWatch: setExtra key must be a string');
+  });
+});
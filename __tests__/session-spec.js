@@ -0,0 +1,142 @@
+'use strict';
+
+describe('Session', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+  const TIMEOUT = 1000;
+
+  let handler;
+
+  function reports() {
+    return handler.mock.calls.map(call => call[0]).filter(stack => stack.mode !== 'session');
+  }
+
+  function summaries(name) {
+    return handler.mock.calls.map(call => call[0]).filter(stack => stack.mode === 'session' && (!name || stack.name === name));
+  }
+
+  function stored() {
+    return JSON.parse(window.sessionStorage.getItem('errorWatch.session'));
+  }
+
+  beforeEach(function () {
+    jest.useFakeTimers('modern');
+    window.sessionStorage.clear();
+    ErrorWatch.configure({ collectSessions: true, sessionTimeout: TIMEOUT });
+    handler = jest.fn();
+    ErrorWatch.report.subscribe(handler); // starts a session
+  });
+
+  afterEach(function () {
+    ErrorWatch.destroy();
+    ErrorWatch.init();
+    jest.useRealTimers();
+  });
+
+  it('should start a session stored in sessionStorage', function () {
+    jest.advanceTimersByTime(0);
+    const id = ErrorWatch.getSessionId();
+    expect(id).toMatch(/^[0-9a-f]{32}$/);
+    expect(stored().id).toBe(id);
+    expect(summaries()).toEqual([expect.objectContaining({
+      mode: 'session',
+      name: 'start',
+      message: 'session start',
+      stack: null,
+      sessionId: id,
+      session: expect.objectContaining({ id: id, errors: 0, status: 'ok' }),
+    })]);
+  });
+
+  it('should stamp the session id on every report and count errors', function () {
+    const id = ErrorWatch.getSessionId();
+    const client = ErrorWatch.createClient();
+    const clientHandler = jest.fn();
+    client.subscribe(clientHandler);
+    window.onerror('Error: boom', 'http://example.com/app.js', 1);
+    client.unsubscribe(clientHandler);
+
+    expect(reports()[0].sessionId).toBe(id);
+    expect(clientHandler.mock.calls[0][0].sessionId).toBe(id);
+    // counted once for both clients
+    expect(stored()).toMatchObject({ errors: 1, status: 'crashed' });
+  });
+
+  it('should not send summaries to clients without collectSessions', function () {
+    const client = ErrorWatch.createClient();
+    const clientHandler = jest.fn();
+    client.subscribe(clientHandler);
+    jest.advanceTimersByTime(TIMEOUT + 2); // the summary is sent from another timeout
+    client.unsubscribe(clientHandler);
+    expect(summaries('end').length).toBe(1);
+    expect(clientHandler).not.toHaveBeenCalled();
+  });
+
+  it('should end the session after the inactivity timeout', function () {
+    jest.advanceTimersByTime(TIMEOUT / 2);
+    window.onerror('Error: boom', 'http://example.com/app.js', 1);
+    jest.advanceTimersByTime(TIMEOUT);
+    expect(summaries('end')).toEqual([]);
+    jest.advanceTimersByTime(2); // the summary is sent from another timeout
+    const ended = summaries('end');
+    expect(ended.length).toBe(1);
+    expect(ended[0].session).toMatchObject({ errors: 1, status: 'crashed', duration: TIMEOUT / 2 });
+    expect(window.sessionStorage.getItem('errorWatch.session')).toBe(null);
+  });
+
+  it('should start a new session on the next activity', function () {
+    const previous = ErrorWatch.getSessionId();
+    jest.advanceTimersByTime(TIMEOUT + 1);
+    document.body.click();
+    const id = ErrorWatch.getSessionId();
+    expect(id).not.toBe(previous);
+    jest.advanceTimersByTime(0);
+    const started = summaries('start');
+    expect(started.length).toBe(2);
+    expect(started[1].session.id).toBe(id);
+  });
+
+  it('should mark handled errors as errored', function () {
+    try {
+      ErrorWatch.report(new Error('handled'));
+    } catch (e) {
+      // report rethrows
+    }
+    jest.advanceTimersByTime(0);
+    expect(stored()).toMatchObject({ errors: 1, status: 'errored' });
+  });
+
+  it('should count an error once when clients receive different stacks for it', function () {
+    const client = ErrorWatch.createClient();
+    const clientHandler = jest.fn();
+    client.subscribe(clientHandler);
+    try {
+      ErrorWatch.report(new Error('rethrown'));
+    } catch (e) {
+      // the browser calls window.onerror with the rethrown error
+      window.onerror('Uncaught Error: rethrown', 'http://example.com/app.js', 1, 1, e);
+    }
+    client.unsubscribe(clientHandler);
+
+    expect(clientHandler).toHaveBeenCalledTimes(1);
+    expect(reports()[0].message).toBe('rethrown');
+    expect(stored()).toMatchObject({ errors: 1, status: 'crashed' });
+  });
+
+  it('should not count errors no client accepts', function () {
+    ErrorWatch.configure({ denyUrls: [/denied\.js/] });
+    window.onerror('Error: boom', 'http://example.com/denied.js', 1);
+    expect(reports()).toEqual([]);
+    expect(stored()).toMatchObject({ errors: 0, status: 'ok' });
+  });
+
+  it('should turn sessions off when sessionTimeout is 0', function () {
+    ErrorWatch.configure({ sessionTimeout: 0 });
+    expect(ErrorWatch.getSessionId()).toBe(null);
+    window.onerror('Error: boom', 'http://example.com/app.js', 1);
+    const all = reports();
+    expect(all[all.length - 1].sessionId).toBe(null);
+    expect(function () {
+      ErrorWatch.createClient({ sessionTimeout: 5 });
+    }).toThrow('page-wide');
+  });
+});
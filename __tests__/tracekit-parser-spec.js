@@ -330,6 +330,20 @@ describe('Parser', function () {
     expect(stackFrames.stack[4]).toEqual({ url: 'http://localhost:8080/file.js', func: '?', args: [], line: 33, column: 9, context: null });
   });
 
+  it('should parse Node.js errors', function () {
+    const stackFrames = ErrorWatch.computeStackTrace(CapturedExceptions.NODE_20);
+    expect(stackFrames).toBeTruthy();
+    expect(stackFrames.stack.length).toBe(8);
+    expect(stackFrames.stack[0]).toEqual({ url: '/srv/app/src/render.js', func: 'renderPage', args: [], line: 42, column: 23, context: null });
+    expect(stackFrames.stack[1]).toEqual({ url: '/srv/app/src/server.js', func: '?', args: [], line: 17, column: 5, context: null });
+    expect(stackFrames.stack[2]).toEqual({ url: '/srv/app/node_modules/express/lib/router/layer.js', func: 'Layer.handle [as handle_request]', args: [], line: 95, column: 5, context: null });
+    expect(stackFrames.stack[3]).toEqual({ url: 'file:///srv/app/src/data.mjs', func: 'loadData', args: [], line: 8, column: 11, context: null });
+    expect(stackFrames.stack[4]).toEqual({ url: 'C:\\app\\src\\page.js', func: 'render', args: [], line: 10, column: 5, context: null });
+    expect(stackFrames.stack[5]).toEqual({ url: 'node:internal/modules/cjs/loader', func: 'Module._compile', args: [], line: 1105, column: 14, context: null });
+    expect(stackFrames.stack[6]).toEqual({ url: 'node:internal/main/run_main_module', func: '?', args: [], line: 23, column: 47, context: null });
+    expect(stackFrames.stack[7]).toEqual({ url: 'node:internal/process/task_queues', func: 'process.processTicksAndRejections', args: [], line: 95, column: 5, context: null });
+  });
+
   it('should parse React Native errors on Android', function () {
     const stackFrames = ErrorWatch.computeStackTrace(CapturedExceptions.ANDROID_REACT_NATIVE);
     expect(stackFrames).toBeTruthy();
@@ -0,0 +1,153 @@
+'use strict';
+
+describe('Transport', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+  const url = 'https://example.com/api/handleError';
+
+  let oldSendBeacon;
+  let oldFetch;
+
+  beforeEach(function () {
+    oldSendBeacon = navigator.sendBeacon;
+    oldFetch = window.fetch;
+  });
+
+  afterEach(function () {
+    navigator.sendBeacon = oldSendBeacon;
+    window.fetch = oldFetch;
+  });
+
+  function mockFetch(statuses) {
+    window.fetch = jest.fn(function () {
+      const status = statuses.shift();
+      return status === 0 ?
+        Promise.reject(new TypeError('Failed to fetch')) :
+        Promise.resolve({ ok: status >= 200 && status < 300, status: status });
+    });
+    return window.fetch;
+  }
+
+  it('should prefer sendBeacon', function (done) {
+    navigator.sendBeacon = jest.fn(() => true);
+    const fetch = mockFetch([200]);
+    ErrorWatch.transport.send('{}', { url }, function (result) {
+      expect(result).toEqual({ ok: true, method: 'beacon', status: null, attempts: 1, retryable: false });
+      expect(navigator.sendBeacon).toHaveBeenCalledWith(url, '{}');
+      expect(fetch).not.toHaveBeenCalled();
+      done();
+    });
+  });
+
+  it('should fall back to a keepalive fetch when the beacon is refused', function (done) {
+    navigator.sendBeacon = jest.fn(() => false);
+    const fetch = mockFetch([204]);
+    ErrorWatch.transport.send('{}', { url }, function (result) {
+      expect(result).toEqual({ ok: true, method: 'fetch', status: 204, attempts: 1, retryable: false });
+      expect(fetch.mock.calls[0][1].keepalive).toBe(true);
+      done();
+    });
+  });
+
+  it('should skip beacon and fetch for payloads over 64KB', function (done) {
+    navigator.sendBeacon = jest.fn(() => true);
+    const fetch = mockFetch([200]);
+    ErrorWatch.transport.send(new Array(70000).join('x'), { url, methods: ['beacon', 'fetch', 'image'] }, function (result) {
+      expect(result.ok).toBe(false);
+      expect(result.method).toBe(null);
+      expect(result.retryable).toBe(true);
+      expect(navigator.sendBeacon).not.toHaveBeenCalled();
+      expect(fetch).not.toHaveBeenCalled();
+      done();
+    });
+  });
+
+  it('should retry transient failures with backoff', function (done) {
+    const fetch = mockFetch([503, 0, 200]);
+    ErrorWatch.transport.send('{}', { url, methods: ['fetch'], retryDelay: 1 }, function (result) {
+      expect(result).toEqual({ ok: true, method: 'fetch', status: 200, attempts: 3, retryable: false });
+      expect(fetch).toHaveBeenCalledTimes(3);
+      done();
+    });
+  });
+
+  it('should not retry client errors', function (done) {
+    const fetch = mockFetch([400, 200]);
+    ErrorWatch.transport.send('{}', { url, methods: ['fetch'], retryDelay: 1 }, function (result) {
+      expect(result).toEqual({ ok: false, method: 'fetch', status: 400, attempts: 1, retryable: false });
+      expect(fetch).toHaveBeenCalledTimes(1);
+      done();
+    });
+  });
+
+  it('should plug into report.subscribe', function (done) {
+    const fetch = mockFetch([200]);
+    const handler = ErrorWatch.transport({
+      url,
+      methods: ['fetch'],
+      beforeSend: function (payload) {
+        payload.release = '1.0.0';
+        return payload;
+      },
+      onSuccess: function (result, payload) {
+        const body = JSON.parse(fetch.mock.calls[0][1].body);
+        expect(body.message).toBe('boom');
+        expect(body.isWindowError).toBe(true);
+        expect(body.release).toBe('1.0.0');
+        expect(payload.release).toBe('1.0.0');
+        expect(result.ok).toBe(true);
+        ErrorWatch.report.unsubscribe(handler);
+        window.onerror = oldOnErrorHandler;
+        done();
+      },
+    });
+    const oldOnErrorHandler = window.onerror;
+    window.onerror = function () {
+      return true;
+    };
+    ErrorWatch.report.subscribe(handler);
+    window.onerror('Error: boom', 'http://example.com/app.js', 1);
+  });
+
+  it('should send payloads with circular references and BigInts', function (done) {
+    const fetch = mockFetch([200]);
+    const extra = { id: BigInt(42) };
+    extra.self = extra;
+    const handler = ErrorWatch.transport({
+      url,
+      methods: ['fetch'],
+      onSuccess: function () {
+        const body = JSON.parse(fetch.mock.calls[0][1].body);
+        expect(body.extra).toEqual({ id: 42, self: '[Circular]' });
+        done();
+      },
+    });
+    handler({ message: 'boom', extra: extra }, false, null);
+  });
+
+  it('should pass payloads that cannot be serialized to onFailure', function () {
+    const fetch = mockFetch([200]);
+    const onFailure = jest.fn();
+    const handler = ErrorWatch.transport({ url, methods: ['fetch'], onFailure });
+    const error = new Error('no JSON');
+    const extra = {
+      toJSON: function () {
+        throw error;
+      },
+    };
+    extra.self = extra;
+    expect(function () {
+      handler({ message: 'boom', extra: extra }, false, null);
+    }).not.toThrow();
+    expect(fetch).not.toHaveBeenCalled();
+    expect(onFailure).toHaveBeenCalledWith(
+      { ok: false, method: null, status: null, attempts: 0, retryable: false, error: error },
+      expect.objectContaining({ message: 'boom' })
+    );
+  });
+
+  it('should require a url', function () {
+    expect(function () {
+      ErrorWatch.transport({});
+    }).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+describe('extendToAsynchronousCallbacks', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+
+  let handler, consoleError;
+
+  function lastReport() {
+    return handler.mock.calls[handler.mock.calls.length - 1][0];
+  }
+
+  function wait(ms) {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, ms);
+    });
+  }
+
+  beforeAll(function () {
+    // jsdom logs the errors thrown by listeners
+    consoleError = jest.spyOn(console, 'error').mockImplementation(function () {});
+    ErrorWatch.extendToAsynchronousCallbacks();
+    ErrorWatch.extendToAsynchronousCallbacks(); // does nothing the second time
+    handler = jest.fn();
+    ErrorWatch.report.subscribe(handler);
+  });
+
+  afterAll(function () {
+    ErrorWatch.report.unsubscribe(handler);
+    consoleError.mockRestore();
+  });
+
+  afterEach(function () {
+    handler.mockClear();
+    document.body.innerHTML = '';
+  });
+
+  it('should report errors in event listeners with the entry point', function () {
+    const button = document.createElement('button');
+    document.body.appendChild(button);
+    button.addEventListener('click', function onClick() {
+      throw new Error('click failed');
+    });
+    button.click();
+    return wait(10).then(function () {
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(lastReport()).toMatchObject({ message: 'click failed', entryPoint: 'EventTarget.addEventListener:click' });
+      expect(lastReport().stack[0].url).toMatch(/tryCatch-spec\.js$/);
+    });
+  });
+
+  it('should remove wrapped listeners', function () {
+    const button = document.createElement('button');
+    const listener = jest.fn();
+    const capturing = jest.fn();
+    button.addEventListener('click', listener);
+    button.addEventListener('click', capturing, true);
+    button.addEventListener('focus', listener);
+    button.removeEventListener('click', listener);
+    button.removeEventListener('click', capturing, { capture: true });
+    button.click();
+    button.dispatchEvent(new Event('focus'));
+    expect(capturing).not.toHaveBeenCalled();
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].type).toBe('focus');
+  });
+
+  it('should call handleEvent with the listener object as this', function () {
+    const button = document.createElement('button');
+    const listener = {
+      handleEvent: jest.fn(function () {
+        return this;
+      }),
+    };
+    button.addEventListener('click', listener);
+    button.click();
+    expect(listener.handleEvent).toHaveBeenCalledTimes(1);
+    expect(listener.handleEvent.mock.results[0].value).toBe(listener);
+    button.removeEventListener('click', listener);
+    button.click();
+    expect(listener.handleEvent).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report errors in timers with the entry point', function () {
+    setTimeout(function () {
+      throw new Error('timer failed');
+    }, 0);
+    return wait(20).then(function () {
+      expect(lastReport()).toMatchObject({ message: 'timer failed', entryPoint: 'setTimeout' });
+    });
+  });
+
+  it('should report errors in FileReader handlers with the entry point', function () {
+    const reader = new FileReader();
+    const onload = function () {
+      throw new Error('read failed');
+    };
+    reader.onload = onload;
+    expect(reader.onload).toBe(onload);
+    return new Promise(function (resolve) {
+      reader.addEventListener('loadend', resolve);
+      reader.readAsText(new Blob(['text']));
+    }).then(function () {
+      return wait(10);
+    }).then(function () {
+      expect(lastReport()).toMatchObject({ message: 'read failed', entryPoint: 'FileReader.onload' });
+    });
+  });
+
+  it('should report errors in observer callbacks with the entry point', function () {
+    const observer = new MutationObserver(function () {
+      throw new Error('observer failed');
+    });
+    expect(observer instanceof MutationObserver).toBe(true);
+    observer.observe(document.body, { childList: true });
+    document.body.appendChild(document.createElement('div'));
+    return wait(20).then(function () {
+      observer.disconnect();
+      expect(lastReport()).toMatchObject({ message: 'observer failed', entryPoint: 'MutationObserver.callback' });
+    });
+  });
+
+  it('should set entryPoint to null for window errors', function () {
+    window.onerror('Error: boom', 'http://example.com/app.js', 1);
+    expect(lastReport().entryPoint).toBe(null);
+  });
+
+  it('should pass the entry point given to wrap', function () {
+    const fn = ErrorWatch.wrap(function () {
+      throw new Error('wrapped failed');
+    }, 'widget.init');
+    expect(fn).toThrow('wrapped failed');
+    return wait(10).then(function () {
+      expect(lastReport()).toMatchObject({ message: 'wrapped failed', entryPoint: 'widget.init' });
+    });
+  });
+});
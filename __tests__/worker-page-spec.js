@@ -0,0 +1,105 @@
+'use strict';
+
+describe('listenToWorker', function () {
+  const ErrorWatch = require('../dist/errorWatch');
+
+  let handler, worker;
+
+  function post(data) {
+    worker.dispatchEvent(new MessageEvent('message', { data: data }));
+  }
+
+  function forwarded(stack) {
+    return {
+      type: 'errorWatch.report',
+      isWindowError: true,
+      worker: { type: 'dedicated', url: 'https://example.com/worker.js' },
+      stack: Object.assign({
+        name: 'TypeError',
+        message: 'x is not a function',
+        mode: 'stack',
+        stack: [{ url: 'https://example.com/worker.js', func: 'onmessage', line: 3, column: 7 }],
+        fingerprint: 'worker-fingerprint',
+        breadcrumbs: [{ category: 'console', message: 'parsing' }],
+        contexts: { page: { url: 'https://example.com/worker.js' } },
+        sessionId: 'worker-session',
+        user: { id: 'w' },
+        tags: { thread: 'worker' },
+        extra: {},
+        entryPoint: 'setTimeout',
+      }, stack),
+    };
+  }
+
+  beforeAll(function () {
+    handler = jest.fn();
+    ErrorWatch.report.subscribe(handler);
+  });
+
+  afterAll(function () {
+    ErrorWatch.report.unsubscribe(handler);
+    ErrorWatch.destroy();
+  });
+
+  beforeEach(function () {
+    worker = new EventTarget();
+    ErrorWatch.listenToWorker(worker);
+  });
+
+  afterEach(function () {
+    handler.mockClear();
+    ErrorWatch.setUser(null);
+  });
+
+  it('should send forwarded reports through the page pipeline', function () {
+    ErrorWatch.setUser({ id: 'page-user' });
+    post(forwarded());
+    expect(handler).toHaveBeenCalledTimes(1);
+    const stack = handler.mock.calls[0][0];
+    expect(stack).toMatchObject({
+      name: 'TypeError',
+      message: 'x is not a function',
+      user: { id: 'page-user' },
+      entryPoint: 'setTimeout',
+      contexts: { page: { url: window.location.href } },
+      worker: {
+        type: 'dedicated',
+        url: 'https://example.com/worker.js',
+        breadcrumbs: [{ category: 'console', message: 'parsing' }],
+        contexts: { page: { url: 'https://example.com/worker.js' } },
+        sessionId: 'worker-session',
+        user: { id: 'w' },
+        tags: { thread: 'worker' },
+      },
+    });
+    expect(stack.fingerprint).not.toBe('worker-fingerprint');
+    expect(handler.mock.calls[0][1]).toBe(true);
+  });
+
+  it('should apply the page options', function () {
+    ErrorWatch.configure({ denyUrls: [/worker\.js/] });
+    post(forwarded());
+    ErrorWatch.init();
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should ignore other messages', function () {
+    post('hello');
+    post({ type: 'other', stack: {} });
+    post(null);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should stop listening on destroy', function () {
+    ErrorWatch.destroy();
+    ErrorWatch.report.subscribe(handler);
+    post(forwarded());
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should reject targets that are not workers', function () {
+    expect(function () {
+      ErrorWatch.listenToWorker({});
+    }).toThrow('ErrorWatch: listenToWorker expects a Worker or navigator.serviceWorker');
+  });
+});
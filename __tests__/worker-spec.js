@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ */
+'use strict';
+
+describe('in a worker', function () {
+  let ErrorWatch, handler, listeners;
+
+  function fire(type, props) {
+    const event = Object.assign({ type: type }, props);
+    (listeners[type] || []).slice().forEach(function (listener) {
+      listener.call(global, event);
+    });
+  }
+
+  function reports() {
+    return handler.mock.calls.map(call => call[0]);
+  }
+
+  beforeAll(function () {
+    // What a dedicated worker scope looks like: no document, importScripts,
+    // postMessage and the global itself is the event target.
+    listeners = {};
+    global.addEventListener = function (type, listener) {
+      (listeners[type] = listeners[type] || []).push(listener);
+    };
+    global.removeEventListener = function (type, listener) {
+      listeners[type] = (listeners[type] || []).filter(l => l !== listener);
+    };
+    global.importScripts = function () {};
+    global.postMessage = jest.fn();
+    global.location = { href: 'https://example.com/worker.js' };
+    ErrorWatch = require('../dist/errorWatch');
+    handler = jest.fn();
+    ErrorWatch.report.subscribe(handler);
+  });
+
+  afterAll(function () {
+    ErrorWatch.destroy();
+    ['addEventListener', 'removeEventListener', 'importScripts', 'postMessage', 'location', 'ErrorWatch'].forEach(function (name) {
+      delete global[name];
+    });
+  });
+
+  afterEach(function () {
+    handler.mockClear();
+    global.postMessage.mockClear();
+  });
+
+  it('should load without window', function () {
+    expect(typeof ErrorWatch.report).toBe('function');
+  });
+
+  it('should listen to error events instead of onerror', function () {
+    expect(global.onerror).toBe(undefined);
+    fire('error', {
+      message: 'Uncaught TypeError: x is not a function',
+      filename: 'https://example.com/worker.js',
+      lineno: 3,
+      colno: 7,
+      error: new TypeError('x is not a function'),
+    });
+    expect(reports().length).toBe(1);
+    expect(reports()[0]).toMatchObject({ name: 'TypeError', message: 'x is not a function', mode: 'stack' });
+    expect(handler.mock.calls[0][1]).toBe(true);
+  });
+
+  it('should listen to unhandledrejection events', function () {
+    fire('unhandledrejection', { reason: new RangeError('too far') });
+    expect(reports()[0]).toMatchObject({ name: 'RangeError', message: 'too far' });
+  });
+
+  it('should forward reports to the page', function () {
+    const forward = ErrorWatch.forwardToPage();
+    ErrorWatch.report.subscribe(forward);
+    ErrorWatch.withScope(function (scope) {
+      scope.setExtra('callback', function () {});
+      fire('error', { message: 'boom', filename: 'https://example.com/worker.js', lineno: 1, colno: 1, error: new Error('boom') });
+    });
+    ErrorWatch.report.unsubscribe(forward);
+
+    expect(global.postMessage).toHaveBeenCalledTimes(1);
+    const message = global.postMessage.mock.calls[0][0];
+    expect(message).toMatchObject({
+      type: 'errorWatch.report',
+      isWindowError: true,
+      worker: { type: 'dedicated', url: 'https://example.com/worker.js' },
+      stack: { name: 'Error', message: 'boom' },
+    });
+    expect(message.stack.extra).toEqual({});
+  });
+
+  it('should forward reports with circular references', function () {
+    const forward = ErrorWatch.forwardToPage();
+    const extra = {};
+    extra.self = extra;
+    forward({ name: 'Error', message: 'boom', extra: extra }, false);
+    expect(global.postMessage.mock.calls[0][0].stack.extra).toEqual({ self: '[Circular]' });
+  });
+
+  it('should post to every window from a service worker', function () {
+    const windows = [{ postMessage: jest.fn() }, { postMessage: jest.fn() }];
+    global.registration = {};
+    global.clients = {
+      matchAll: jest.fn(function () {
+        return Promise.resolve(windows);
+      }),
+    };
+    const forward = ErrorWatch.forwardToPage();
+    forward({ name: 'Error', message: 'sw failed', mode: 'stack', stack: [] }, false);
+    delete global.registration;
+    delete global.clients;
+
+    return Promise.resolve().then(function () {
+      expect(global.postMessage).not.toHaveBeenCalled();
+      windows.forEach(function (client) {
+        expect(client.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+          type: 'errorWatch.report',
+          worker: { type: 'service', url: 'https://example.com/worker.js' },
+        }));
+      });
+    });
+  });
+
+  it('should remove the listeners on destroy', function () {
+    ErrorWatch.destroy();
+    fire('error', { message: 'boom', error: new Error('boom') });
+    expect(handler).not.toHaveBeenCalled();
+    ErrorWatch.report.subscribe(handler);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Rollup plugin that injects the release into an app bundle, so that
+ * ErrorWatch stamps it on every report without it being passed to
+ * `ErrorWatch.configure`.
+ *
+ * Syntax (rollup.config.js):
+ * ```js
+ *   import errorWatchRelease from 'error-watch/build/rollup-plugin-release';
+ *
+ *   export default {
+ *     input: 'src/main.js',
+ *     output: { dir: 'dist', format: 'esm' },
+ *     plugins: [errorWatchRelease({ release: 'my-app@1.4.2', environment: 'production' })],
+ *   };
+ * ```
+ *
+ * Every chunk gets a banner that sets the global `__ERROR_WATCH_RELEASE__`
+ * to `{ release, dist, environment }`. ErrorWatch uses it for the options
+ * that are not configured. `release` defaults to the version of the package
+ * being built when rollup is run by an npm script.
+ */
+'use strict';
+
+const GLOBAL_NAME = '__ERROR_WATCH_RELEASE__';
+
+function errorWatchRelease(options) {
+  options = options || {};
+  const release = {
+    release: options.release != null ? String(options.release) : (process.env.npm_package_version || null),
+    dist: options.dist != null ? String(options.dist) : null,
+    environment: options.environment != null ? String(options.environment) : null,
+  };
+  const code = `;(function (g) { g.${GLOBAL_NAME} = ${JSON.stringify(release)}; })(` +
+    `typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : typeof window !== 'undefined' ? window : this);`;
+
+  return {
+    name: 'error-watch-release',
+    banner() {
+      return code;
+    },
+  };
+}
+
+module.exports = errorWatchRelease;
+module.exports.default = errorWatchRelease;
@@ -9,6 +9,13 @@ export default [{
     file: 'dist/errorWatch.esm.js',
     format: 'esm'
   },
+}, {
+  input: 'src/node.js',
+  output: {
+    file: 'dist/errorWatch.node.js',
+    format: 'cjs',
+    exports: 'default',
+  },
 }, {
   input: 'src/index.js',
   output: {
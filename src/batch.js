@@ -0,0 +1,100 @@
+/**
+ * Batching buffer for outgoing reports.
+ *
+ * Syntax:
+ * ```js
+ *   ErrorWatch.report.subscribe(ErrorWatch.transport({ url: '...', batch: true }))
+ *   ErrorWatch.report.subscribe(ErrorWatch.transport({ url: '...', batch: { maxSize: 20, delay: 10000 } }))
+ * ```
+ *
+ * Reports are buffered and sent together when `maxSize` reports are
+ * buffered, when adding one would make the batch larger than `maxBytes`,
+ * or `delay` ms after the first report of the batch. The buffer is also
+ * flushed when the page is hidden (`visibilitychange`) or unloaded
+ * (`pagehide`), when only `navigator.sendBeacon` can still send it.
+ *
+ * A batch is sent as a JSON array of reports; a single report is always a
+ * JSON object, so servers can tell them apart by the first character.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import { _extend, _byteLength, _global } from './utils';
+import { listen, onTeardown } from './teardown';
+
+export const batchDefaults = {
+  maxSize: 10,      // 每批最多条数
+  maxBytes: 60000,  // 每批最大字节数，小于 sendBeacon 的 64KB 限制
+  delay: 5000,      // ms，第一条上报后最多等待多久发送
+};
+
+/**
+ * Creates a batching buffer.
+ * @param {Function} flushBatch `flushBatch(body, payloads, isUnloading)`
+ * called with the JSON array and the payloads it contains.
+ * @param {Object=} options Batch options.
+ * @return {{add: Function, flush: Function}}
+ * @memberof ErrorWatch.batch
+ */
+export function createBatch(flushBatch, options) {
+  options = _extend(_extend({}, batchDefaults), options);
+  let bodies = [],
+    payloads = [],
+    bytes = 2, // "[]"
+    timer = null;
+
+  /**
+   * Sends everything that is buffered.
+   * @param {boolean=} isUnloading Whether the page is being hidden or unloaded.
+   */
+  function flush(isUnloading) {
+    clearTimeout(timer);
+    timer = null;
+    if (!bodies.length) {
+      return;
+    }
+    const body = '[' + bodies.join(',') + ']',
+      sent = payloads;
+    bodies = [];
+    payloads = [];
+    bytes = 2;
+    flushBatch(body, sent, !!isUnloading);
+  }
+
+  /**
+   * Buffers a report.
+   * @param {string} body The report as JSON.
+   * @param {Object} payload The report.
+   */
+  function add(body, payload) {
+    const size = _byteLength(body);
+    if (bodies.length && bytes + 1 + size > options.maxBytes) { // 1 for the comma
+      flush();
+    }
+    bytes += size + (bodies.length ? 1 : 0);
+    bodies.push(body);
+    payloads.push(payload);
+    if (bodies.length >= options.maxSize || bytes >= options.maxBytes) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, options.delay);
+    }
+  }
+
+  listen(_global, 'pagehide', function () {
+    flush(true);
+  });
+  listen(_global.document, 'visibilitychange', function () {
+    if (_global.document.visibilityState === 'hidden') {
+      flush(true);
+    }
+  });
+  onTeardown(function () {
+    flush(); // don't lose what is buffered
+  });
+
+  return {
+    add: add,
+    flush: flush,
+  };
+}
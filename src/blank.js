@@ -0,0 +1,229 @@
+/**
+ * Blank screen detection, reported with `mode: 'blank'`.
+ *
+ * Syntax:
+ * ```js
+ *   ErrorWatch.configure({
+ *     collectBlankScreens: true,
+ *     blankRootSelectors: ['html', 'body', '#app'],
+ *     blankSkeletonSelectors: ['.skeleton'],
+ *     blankCheckDelay: 1000,
+ *   })
+ * ```
+ *
+ * `blankCheckDelay` ms after the `load` event and after every route change
+ * (`pushState`, `replaceState` and `popstate` to another URL), 17 points
+ * on the horizontal and vertical center lines of the viewport are sampled
+ * with `document.elementsFromPoint`. A point is empty when the topmost
+ * element there is one of the `blankRootSelectors` (the containers the
+ * application renders into) or is inside one of the `blankSkeletonSelectors`
+ * (placeholders shown while loading). When every point is empty, the page
+ * rendered nothing and is reported as:
+ * ```js
+ * {
+ *   mode: 'blank',
+ *   name: 'BlankScreen',
+ *   message: 'Blank screen at https://example.com/cart',
+ *   stack: null,
+ *   blank: {
+ *     url: 'https://example.com/cart',
+ *     trigger: 'load' | 'navigation',
+ *     points: 17,
+ *     elements: ['body', 'div#app'], // the topmost elements found
+ *     recentErrors: [{ mode: 'resource', name: 'https://cdn.example.com/app.js', message: 'script is load error', timestamp: 1600000000000 }]
+ *   }
+ * }
+ * ```
+ *
+ * `recentErrors` lists the last errors, failed requests and resource
+ * failures a client accepted before the check, most recent last, which
+ * usually explain why nothing was rendered. Hidden pages and browsers
+ * without `elementsFromPoint` are not checked. Nothing is checked or
+ * recorded while no registered client has `collectBlankScreens`.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import { config } from './config';
+import { addInstrumentationHandler, removeInstrumentationHandler } from './instrument';
+import { listen } from './teardown';
+import { _cssSelector, _firstSeen, _global } from './utils';
+
+// Points sampled on each center line, the center being shared.
+const POINTS_PER_LINE = 9;
+const MAX_RECENT_ERRORS = 10;
+// Reports that are not errors, kept out of recentErrors.
+const NOT_ERRORS = ['session', 'longtask', 'freeze', 'blank', 'rejectionhandled'];
+
+let stopChecking = null;
+let recentErrors = [], isNewError = _firstSeen();
+
+/**
+ * Remembers an error for the next blank screen report; called by every
+ * client for every stack it accepts, and recorded once like in
+ * `trackError`.
+ * @param {ErrorWatch.StackTrace} stack
+ * @param {*=} error The error being handled.
+ * @memberof ErrorWatch.blank
+ */
+export function recordError(stack, error) {
+  if (!stopChecking || !stack || NOT_ERRORS.indexOf(stack.mode) !== -1 ||
+    (stack.mode === 'console' && stack.level !== 'error') ||
+    !isNewError(error && typeof error === 'object' ? error : stack)) {
+    return;
+  }
+  recentErrors.push({
+    mode: stack.mode,
+    name: stack.name || null,
+    message: stack.message || null,
+    timestamp: new Date().getTime(),
+  });
+  if (recentErrors.length > MAX_RECENT_ERRORS) {
+    recentErrors.shift();
+  }
+}
+
+function matches(elem, selectors) {
+  const match = elem.matches || elem.msMatchesSelector || elem.webkitMatchesSelector;
+  for (let i = 0; i < selectors.length; i++) {
+    try {
+      if (match.call(elem, selectors[i])) {
+        return true;
+      }
+    } catch (e) {
+      // invalid selector
+    }
+  }
+  return false;
+}
+
+/**
+ * Whether the topmost element at a point shows nothing.
+ * @param {?Element} elem
+ * @return {boolean}
+ * @memberof ErrorWatch.blank
+ */
+function isEmpty(elem) {
+  if (!elem) {
+    return true;
+  }
+  if (matches(elem, config.blankRootSelectors)) {
+    return true;
+  }
+  for (let node = elem; node && node.nodeType === 1; node = node.parentNode) {
+    if (matches(node, config.blankSkeletonSelectors)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function samplePoints() {
+  const width = _global.innerWidth,
+    height = _global.innerHeight;
+  let points = [];
+  for (let i = 1; i <= POINTS_PER_LINE; i++) {
+    points.push([width * i / (POINTS_PER_LINE + 1), height / 2]);
+    if (i !== (POINTS_PER_LINE + 1) / 2) {
+      points.push([width / 2, height * i / (POINTS_PER_LINE + 1)]);
+    }
+  }
+  return points;
+}
+
+/**
+ * Samples the viewport and reports a blank screen.
+ * @param {string} trigger 'load' or 'navigation'.
+ * @param {Function} dispatch
+ * @memberof ErrorWatch.blank
+ */
+function check(trigger, dispatch) {
+  const document = _global.document;
+  if (document.hidden || typeof document.elementsFromPoint !== 'function') {
+    return;
+  }
+  const points = samplePoints();
+  let elements = [];
+  for (let i = 0; i < points.length; i++) {
+    const elem = document.elementsFromPoint(points[i][0], points[i][1])[0];
+    if (!isEmpty(elem)) {
+      return;
+    }
+    const selector = elem ? _cssSelector(elem) : null;
+    if (selector && elements.indexOf(selector) === -1) {
+      elements.push(selector);
+    }
+  }
+  const url = _global.location.href;
+  dispatch({
+    name: 'BlankScreen',
+    message: `Blank screen at ${url}`,
+    mode: 'blank',
+    stack: null,
+    blank: {
+      url: url,
+      trigger: trigger,
+      points: points.length,
+      elements: elements,
+      recentErrors: recentErrors.slice(),
+    },
+  }, false, null);
+}
+
+function startChecking(dispatch) {
+  let timer = null,
+    unlisten = null;
+
+  function schedule(trigger) {
+    clearTimeout(timer);
+    timer = setTimeout(function () {
+      timer = null;
+      check(trigger, dispatch);
+    }, config.blankCheckDelay);
+  }
+
+  function onHistory(data) {
+    if (data.from !== data.to) {
+      schedule('navigation');
+    }
+  }
+
+  if (_global.document.readyState === 'complete') {
+    schedule('load');
+  } else {
+    unlisten = listen(_global, 'load', function () {
+      schedule('load');
+    });
+  }
+  addInstrumentationHandler('history', onHistory);
+  return function () {
+    clearTimeout(timer);
+    if (unlisten) {
+      unlisten();
+    }
+    removeInstrumentationHandler('history', onHistory);
+    recentErrors = [];
+    isNewError = _firstSeen();
+  };
+}
+
+/**
+ * Checks for blank screens after load and route changes while some
+ * registered client collects them; called by the hub when clients
+ * register or unregister and when options change. Errors are only
+ * recorded for `recentErrors` meanwhile.
+ * @param {Function} dispatch Sends the reports to the clients.
+ * @param {boolean} wanted Whether a registered client has `collectBlankScreens`.
+ * @memberof ErrorWatch.blank
+ */
+export function updateBlankScreen(dispatch, wanted) {
+  if (!_global.document) {
+    return;
+  }
+  if (wanted && !stopChecking) {
+    stopChecking = startChecking(dispatch);
+  } else if (!wanted && stopChecking) {
+    stopChecking();
+    stopChecking = null;
+  }
+}
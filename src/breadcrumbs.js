@@ -0,0 +1,172 @@
+/**
+ * Breadcrumbs: the trail of user and app events that led up to an error.
+ *
+ * Syntax:
+ * ```js
+ *   ErrorWatch.addBreadcrumb({ category: 'auth', message: 'user logged in', data: { id: 1 } })
+ *   ErrorWatch.configure({ maxBreadcrumbs: 50, autoBreadcrumbs: { console: false } })
+ * ```
+ *
+ * The last `maxBreadcrumbs` breadcrumbs are kept in a ring buffer and
+ * attached as `breadcrumbs` to every StackTrace delivered to subscribers.
+ * Once a handler subscribes, these are recorded automatically unless
+ * turned off in `autoBreadcrumbs`:
+ *   - dom:     clicks (`ui.click`) and focus on form fields (`ui.focus`),
+ *              with a CSS selector of the target as message
+ *   - history: pushState, replaceState and popstate (`navigation`)
+ *   - console: console calls (`console`)
+ *   - xhr, fetch: finished requests (`xhr`, `fetch`)
+ *
+ * A breadcrumb is `{ timestamp, category, level, message, data }`. URLs
+ * are sanitized like in the http reports, hash routes are kept.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import { config } from './config';
+import { addInstrumentationHandler } from './instrument';
+import { sanitizeUrl } from './httpError';
+import { _cssSelector, _extend, _consoleMessage } from './utils';
+import { onTeardown } from './teardown';
+
+const MAX_MESSAGE_LENGTH = 300;
+
+let breadcrumbs = [];
+let installed = {};
+
+function truncate(str) {
+  return str.length > MAX_MESSAGE_LENGTH ? str.slice(0, MAX_MESSAGE_LENGTH) + '…' : str;
+}
+
+/**
+ * Records a breadcrumb.
+ * @param {Object} breadcrumb `{ category, level, message, data }`; the
+ * timestamp is added. The category defaults to 'manual', the level to 'info'.
+ * @memberof ErrorWatch
+ * @throws {TypeError} If breadcrumb is not an object.
+ */
+export function addBreadcrumb(breadcrumb) {
+  if ({}.toString.call(breadcrumb) !== '[object Object]') {
+    throw new TypeError('ErrorWatch: breadcrumb must be an object');
+  }
+  const max = config.maxBreadcrumbs;
+  if (!max) {
+    return;
+  }
+  breadcrumbs.push(_extend({
+    timestamp: new Date().getTime(),
+    category: 'manual',
+    level: 'info',
+  }, breadcrumb));
+  if (breadcrumbs.length > max) {
+    breadcrumbs.splice(0, breadcrumbs.length - max);
+  }
+}
+
+/**
+ * Returns a copy of the recorded breadcrumbs, oldest first.
+ * @return {Array.<Object>}
+ * @memberof ErrorWatch.breadcrumbs
+ */
+export function getBreadcrumbs() {
+  const max = config.maxBreadcrumbs;
+  return max ? breadcrumbs.slice(-max) : [];
+}
+
+/**
+ * Forgets every recorded breadcrumb.
+ * @memberof ErrorWatch.breadcrumbs
+ */
+export function clearBreadcrumbs() {
+  breadcrumbs = [];
+}
+
+function hasInstalled() {
+  for (let kind in installed) {
+    if (installed.hasOwnProperty(kind)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function isEnabled(kind) {
+  const auto = config.autoBreadcrumbs;
+  return auto === true || (!!auto && auto[kind] !== false);
+}
+
+function isFormField(elem) {
+  const tag = elem && elem.tagName && elem.tagName.toLowerCase();
+  return tag === 'input' || tag === 'textarea' || tag === 'select' || !!(elem && elem.isContentEditable);
+}
+
+function recordHttp(category) {
+  return function (request) {
+    const url = sanitizeUrl(request.url);
+    addBreadcrumb({
+      category: category,
+      level: request.reason || request.status >= 400 ? 'error' : 'info',
+      message: request.method + ' ' + url,
+      data: {
+        method: request.method,
+        url: url,
+        status: request.status,
+        reason: request.reason,
+        duration: request.endTimestamp - request.startTimestamp,
+      },
+    });
+  };
+}
+
+const recorders = {
+  dom(data) {
+    const target = data.event && data.event.target;
+    if (data.name === 'click') {
+      addBreadcrumb({ category: 'ui.click', message: _cssSelector(target) || '<unknown>' });
+    } else if (isFormField(target)) {
+      addBreadcrumb({ category: 'ui.focus', message: _cssSelector(target) });
+    }
+  },
+  history(data) {
+    const from = sanitizeUrl(data.from, true),
+      to = sanitizeUrl(data.to, true);
+    addBreadcrumb({ category: 'navigation', message: to, data: { from: from, to: to } });
+  },
+  console(data) {
+    const message = _consoleMessage(data.level, data.args, MAX_MESSAGE_LENGTH);
+    if (message === null) {
+      return; // the assertion passed
+    }
+    addBreadcrumb({
+      category: 'console',
+      level: data.level === 'assert' ? 'error' : data.level,
+      message: truncate(message),
+    });
+  },
+  xhr: recordHttp('xhr'),
+  fetch: recordHttp('fetch'),
+};
+
+/**
+ * Starts recording the kinds of breadcrumbs enabled in `autoBreadcrumbs`.
+ * Kinds that are turned off later stop being recorded right away.
+ * @memberof ErrorWatch.breadcrumbs
+ */
+export function installBreadcrumbs() {
+  for (let kind in recorders) {
+    if (recorders.hasOwnProperty(kind) && !installed[kind] && isEnabled(kind)) {
+      if (!hasInstalled()) {
+        onTeardown(function () {
+          installed = {};
+          clearBreadcrumbs();
+        });
+      }
+      installed[kind] = true;
+      addInstrumentationHandler(kind, function (data) {
+        if (isEnabled(kind)) {
+          recorders[kind](data);
+        }
+      });
+    }
+  }
+}
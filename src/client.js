@@ -0,0 +1,415 @@
+/**
+ * Isolated ErrorWatch clients.
+ *
+ * Syntax:
+ * ```js
+ *   var client = ErrorWatch.createClient({ allowUrls: [/\/team-a\//] })
+ *   client.subscribe(function(stackInfo, isWindowError, error) { ... })
+ *   client.report(exception)
+ *   fn = client.wrap(fn)
+ *   client.configure({ collectSourceErrors: false })
+ * ```
+ *
+ * Every client has its own handlers, options and filters, so several
+ * applications on one page (e.g. micro-frontends) don't see each other's
+ * handlers. Window errors, unhandled rejections and resource errors are
+ * received by the hub and sent to every client whose options and filters
+ * accept them. `ErrorWatch.report` is the default client, which reads the
+ * options set with `ErrorWatch.init`/`ErrorWatch.configure`.
+ *
+ * The stack parsing options (`remoteFetching`, `linesOfContext` and `debug`)
+ * the breadcrumbs options (`maxBreadcrumbs` and `autoBreadcrumbs`),
+ * `sessionTimeout` and `freezeThreshold` are page-wide and can only be set
+ * with `ErrorWatch.configure`.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+
+import computeStackTrace from './computeStackTrace';
+import { defaults, reportFuncName, validateClientOptions, mergeOptions, applyOptions } from './config';
+import { register, unregister } from './hub';
+import { createWrap } from './wrap';
+import { _has, _extend } from './utils';
+import { computeFingerprint } from './fingerprint';
+import { createDeduper } from './dedupe';
+import { getBreadcrumbs } from './breadcrumbs';
+import { getScope, applyScope } from './scope';
+import { getContexts } from './contexts';
+import { trackError, getSessionId } from './session';
+import { applyRelease } from './release';
+import { inStatusRanges } from './httpError';
+import { capturesConsole } from './consoleError';
+import { recordError } from './blank';
+
+/**
+ * Returns the URL a stack is attributed to: the resource URL for resource
+ * errors, otherwise the URL of the top frame.
+ * @param {ErrorWatch.StackTrace} stack
+ * @return {?string}
+ * @memberof ErrorWatch.client
+ */
+function getStackUrl(stack) {
+  if (stack.mode === 'resource') {
+    return stack.name || null;
+  }
+  const frames = stack.stack;
+  return (frames && frames.length && frames[0].url) || null;
+}
+
+/**
+ * Tests a URL against a list of strings (substring match) and RegExps.
+ * @param {?string} url
+ * @param {Array.<(string|RegExp)>} patterns
+ * @return {boolean}
+ * @memberof ErrorWatch.client
+ */
+function matchesUrl(url, patterns) {
+  if (!url) {
+    return false;
+  }
+  for (let i = 0; i < patterns.length; i++) {
+    const pattern = patterns[i];
+    if (typeof pattern === 'string' ? url.indexOf(pattern) !== -1 : pattern.test(url)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Whether a failed request passes the http options of a client.
+ * @param {Object} request The `request` of an http report.
+ * @param {Object} options
+ * @return {boolean}
+ * @memberof ErrorWatch.client
+ */
+function acceptsRequest(request, options) {
+  if (!options.collectHttpErrors) {
+    return false;
+  }
+  if (!request.reason && !inStatusRanges(request.status, options.httpStatusRanges)) {
+    return false;
+  }
+  if (options.httpAllowUrls.length && !matchesUrl(request.url, options.httpAllowUrls)) {
+    return false;
+  }
+  return !matchesUrl(request.url, options.httpDenyUrls);
+}
+
+/**
+ * Whether a long task or freeze passes the options of a client.
+ * @param {ErrorWatch.StackTrace} stack A longtask or freeze report.
+ * @param {Object} options
+ * @return {boolean}
+ * @memberof ErrorWatch.client
+ */
+function acceptsTask(stack, options) {
+  if (!options.collectLongTasks) {
+    return false;
+  }
+  return stack.mode === 'freeze' || stack.task.duration >= options.longTaskThreshold;
+}
+
+/**
+ * Creates a client that reads the given options object live.
+ * `ErrorWatch.report` is created with the page-wide config this way.
+ * @param {Object} options The live options of the client.
+ * @param {Function=} configure Replaces the default `client.configure`.
+ * @return {Object} The client.
+ * @memberof ErrorWatch.client
+ */
+export function createClientWithOptions(options, configure) {
+  let handlers = [],
+    lastException = null,
+    lastExceptionStack = null,
+    lastExceptionCapture = null;
+
+  const client = {};
+
+  /**
+   * Add a crash handler.
+   * @param {Function} handler
+   * @memberof ErrorWatch.client
+   */
+  function subscribe(handler) {
+    register(client);
+    handlers.push(handler);
+  }
+
+  /**
+   * Remove a crash handler.
+   * @param {Function} handler
+   * @memberof ErrorWatch.client
+   */
+  function unsubscribe(handler) {
+    for (let i = handlers.length - 1; i >= 0; --i) {
+      if (handlers[i] === handler) {
+        handlers.splice(i, 1);
+      }
+    }
+
+    if (handlers.length === 0) {
+      unregister(client);
+    }
+  }
+
+  /**
+   * Whether this client's options and filters accept a stack.
+   * @param {ErrorWatch.StackTrace} stack
+   * @param {boolean} isWindowError
+   * @param {Error=} error
+   * @return {boolean}
+   * @memberof ErrorWatch.client
+   */
+  function isInterested(stack, isWindowError, error) {
+    if (isWindowError && !options.collectWindowErrors) {
+      return false;
+    }
+    if (stack && stack.mode === 'resource' && !options.collectSourceErrors) {
+      return false;
+    }
+    if (stack && stack.mode === 'session' && !options.collectSessions) {
+      return false;
+    }
+    if (stack && stack.mode === 'http' && !acceptsRequest(stack.request, options)) {
+      return false;
+    }
+    if (stack && stack.mode === 'console' && !capturesConsole(stack.level, options.captureConsole)) {
+      return false;
+    }
+    if (stack && stack.mode === 'csp' && !options.collectCspViolations) {
+      return false;
+    }
+    if (stack && (stack.mode === 'longtask' || stack.mode === 'freeze') && !acceptsTask(stack, options)) {
+      return false;
+    }
+    if (stack && stack.mode === 'blank' && !options.collectBlankScreens) {
+      return false;
+    }
+    if (stack && stack.mode !== 'session' && (options.allowUrls.length || options.denyUrls.length)) {
+      const url = getStackUrl(stack);
+      if (options.allowUrls.length && !matchesUrl(url, options.allowUrls)) {
+        return false;
+      }
+      if (matchesUrl(url, options.denyUrls)) {
+        return false;
+      }
+    }
+    if (options.filter && options.filter(stack, isWindowError, error) === false) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Call every handler, even if one throws.
+   * @param {ErrorWatch.StackTrace} stack
+   * @param {boolean} isWindowError
+   * @param {Error=} error
+   * @memberof ErrorWatch.client
+   * @throws An exception if an error occurs while calling an handler.
+   */
+  function callHandlers(stack, isWindowError, error) {
+    let exception = null;
+    for (let i in handlers) {
+      if (_has(handlers, i)) {
+        try {
+          handlers[i](stack, isWindowError, error);
+        } catch (inner) {
+          exception = inner;
+        }
+      }
+    }
+
+    if (exception) {
+      throw exception;
+    }
+  }
+
+  const dedupe = createDeduper(function () {
+    return options.dedupeWindow;
+  }, callHandlers);
+
+  /**
+   * Dispatch stack information to all handlers.
+   * Handlers receive a copy of the stack with this client's fingerprint, the
+   * breadcrumbs recorded so far, the scope (user, tags and extra), the entry
+   * point the error was caught in (null for window errors), the
+   * environment `contexts` and this client's release, as the same stack is
+   * sent to every client. Errors this client accepts are counted in the
+   * current session and stamped with its `sessionId`; long tasks, freezes
+   * and rejections handled later are not errors and are not counted.
+   * Repeats are collapsed when the `dedupeWindow` option is set.
+   * @param {ErrorWatch.StackTrace} stack
+   * @param {boolean} isWindowError Is this a top-level window error?
+   * @param {Error=} error The error that's being handled (if available, null otherwise)
+   * @param {Object=} capture `{ scope, entryPoint }` captured by `report`; by
+   * default the current scope and no entry point.
+   * @memberof ErrorWatch.client
+   * @throws An exception if an error occurs while calling an handler.
+   */
+  function notifyHandlers(stack, isWindowError, error, capture) {
+    const isSessionSummary = !!stack && stack.mode === 'session',
+      isHttpError = !!stack && stack.mode === 'http',
+      isTask = !!stack && (stack.mode === 'longtask' || stack.mode === 'freeze'),
+      isRejectionHandled = !!stack && stack.mode === 'rejectionhandled';
+    if (!isInterested(stack, isWindowError, error)) {
+      return;
+    }
+    recordError(stack, error);
+    let sessionId;
+    if (isSessionSummary) {
+      sessionId = stack.session.id;
+    } else if (isTask || isRejectionHandled) {
+      sessionId = getSessionId();
+    } else {
+      sessionId = trackError(stack, isWindowError, error);
+    }
+    stack = _extend({}, stack);
+    stack.sessionId = sessionId;
+    if (isHttpError) {
+      stack.request = _extend({}, stack.request);
+      if (!options.httpRequestBody) {
+        delete stack.request.body;
+      }
+    }
+    stack.fingerprint = computeFingerprint(stack, options.fingerprintRules);
+    stack.breadcrumbs = getBreadcrumbs();
+    applyScope(stack, capture ? capture.scope : getScope());
+    stack.entryPoint = capture ? capture.entryPoint : null;
+    stack.contexts = getContexts();
+    applyRelease(stack, options);
+    if (!isSessionSummary) {
+      stack = dedupe(stack, isWindowError, error);
+    }
+    if (stack) {
+      callHandlers(stack, isWindowError, error);
+    }
+  }
+
+  /**
+   * Process the most recent exception
+   * @memberof ErrorWatch.client
+   */
+  function processLastException() {
+    let _lastExceptionStack = lastExceptionStack,
+      _lastException = lastException,
+      _lastExceptionCapture = lastExceptionCapture;
+    lastExceptionStack = null;
+    lastException = null;
+    lastExceptionCapture = null;
+    notifyHandlers(_lastExceptionStack, false, _lastException, _lastExceptionCapture);
+  }
+
+  /**
+   * Called by the hub from window.onerror. If this client is waiting for
+   * window.onerror after `report(ex)`, completes that report with the
+   * top frame window.onerror knows about.
+   * @param {string} url URL of script that generated the exception.
+   * @param {(number|string)} lineNo The line number at which the error occurred.
+   * @param {string} message Error message.
+   * @return {boolean} Whether a pending exception was processed.
+   * @memberof ErrorWatch.client
+   */
+  function processPendingException(url, lineNo, message) {
+    if (!lastExceptionStack) {
+      return false;
+    }
+    computeStackTrace.augmentStackTraceWithInitialElement(lastExceptionStack, url, lineNo, message);
+    processLastException();
+    return true;
+  }
+
+  /**
+   * Reports an unhandled Error to this client.
+   * @param {Error} ex
+   * @param {string=} entryPoint Where the error was caught, e.g.
+   * 'EventTarget.addEventListener:click'; set by `wrap`.
+   * @memberof ErrorWatch.client
+   * @throws An exception if an incomplete stack trace is detected (old IE browsers).
+   */
+  function report(ex, entryPoint) {
+    if (lastExceptionStack) {
+      if (lastException === ex) {
+        return; // already caught by an inner catch block, ignore
+      } else {
+        processLastException();
+      }
+    }
+
+    const stack = computeStackTrace(ex);
+    lastExceptionStack = stack;
+    lastException = ex;
+    lastExceptionCapture = {
+      scope: getScope(), // handlers are called later, maybe outside withScope
+      entryPoint: entryPoint || null,
+    };
+
+    // If the stack trace is incomplete, wait for 2 seconds for
+    // slow slow IE to see if onerror occurs or not before reporting
+    // this exception; otherwise, we will end up with an incomplete
+    // stack trace
+    setTimeout(function () {
+      if (lastException === ex) {
+        processLastException();
+      }
+    }, (stack.incomplete ? 2000 : 0));
+
+    throw ex; // re-throw to propagate to the top level (and cause window.onerror)
+  }
+
+  report.subscribe = subscribe;
+  report.unsubscribe = unsubscribe;
+  report.__name__ = reportFuncName;
+
+  client.report = report;
+  client.subscribe = subscribe;
+  client.unsubscribe = unsubscribe;
+  client.wrap = createWrap(report);
+  /**
+   * Validates `newOptions` and merges them into this client's options.
+   * @param {Object=} newOptions
+   * @return {Object} A copy of the resulting options.
+   * @memberof ErrorWatch.client
+   */
+  client.configure = configure || function (newOptions) {
+    validateClientOptions(newOptions);
+    return applyOptions(options, newOptions);
+  };
+  /**
+   * Forgets every handler and the pending exception; used by `destroy`.
+   * @memberof ErrorWatch.client
+   */
+  client._reset = function () {
+    handlers = [];
+    lastException = null;
+    lastExceptionStack = null;
+    lastExceptionCapture = null;
+  };
+  /**
+   * The live options of this client; read by the hub.
+   * @return {Object}
+   * @memberof ErrorWatch.client
+   */
+  client._getOptions = function () {
+    return options;
+  };
+  client._notifyHandlers = notifyHandlers;
+  client._processPendingException = processPendingException;
+
+  return client;
+}
+
+/**
+ * Creates an independent client with its own handlers, options and filters.<br/>
+ * Example: `var client = ErrorWatch.createClient({ denyUrls: ['/vendor/'] })`
+ * @param {Object=} options Client options; the defaults are used for the rest.
+ * @return {Object} The client.
+ * @memberof ErrorWatch
+ * @throws {TypeError} If an option is invalid or page-wide.
+ */
+export function createClient(options) {
+  validateClientOptions(options);
+  return createClientWithOptions(mergeOptions(defaults, options));
+}
@@ -15,7 +15,9 @@
  * @property {string} name The name of the thrown exception.
  * @property {string} message The exception error message.
  * @property {ErrorWatch.StackFrame[]} stack An array of stack frames.
- * @property {string} mode 'stack', 'stacktrace', 'multiline', 'callers', 'onerror', or 'failed' -- method used to collect the stack trace.
+ * @property {string} mode 'stack', 'stacktrace', 'multiline', 'callers', 'onerror', 'synthetic' or 'failed' -- method used to collect the stack trace.
+ * @property {string=} mechanism 'unhandledrejection' for unhandled rejections, 'rejectionhandled' for their follow-up, see ErrorWatch.rejection.
+ * @property {string} fingerprint Grouping key of the error, see ErrorWatch.fingerprint.
  * @memberof ErrorWatch
  */
 /**
@@ -33,6 +35,8 @@
  *   - Opera 10: full stack trace with line and column numbers
  *   - Opera 9-: full stack trace with line numbers
  *   - Chrome:   full stack trace with line and column numbers
+ *   - Node.js:  full stack trace with line and column numbers, including
+ *               node: builtins and file paths
  *   - Safari:   line and column number for the topmost stacktrace element
  *               only
  *   - IE:       no line numbers whatsoever
@@ -81,8 +85,9 @@
  * @memberof ErrorWatch
  * @namespace
  */
-import { remoteFetching, linesOfContext, debug, reportFuncName } from './config';
-import { _has, _isUndefined } from './utils';
+import { config, reportFuncName } from './config';
+import { _has, _isUndefined, _global } from './utils';
+import { computeFingerprint } from './fingerprint';
 
 const UNKNOWN_FUNCTION = '?';
 
@@ -96,16 +101,16 @@ let sourceCache = {};
  * @memberof ErrorWatch.computeStackTrace
  */
 function loadSource(url) {
-  if (!remoteFetching) { //Only attempt request if remoteFetching is on.
+  if (!config.remoteFetching) { //Only attempt request if remoteFetching is on.
     return '';
   }
   try {
     const getXHR = function() {
       try {
-        return new window.XMLHttpRequest();
+        return new _global.XMLHttpRequest();
       } catch (e) {
         // explicitly bubble up the exception if not found
-        return new window.ActiveXObject('Microsoft.XMLHTTP');
+        return new _global.ActiveXObject('Microsoft.XMLHTTP');
       }
     };
 
@@ -129,6 +134,12 @@ function getSource(url) {
     return [];
   }
 
+  // Nothing can be loaded while remoteFetching is off; don't cache the miss,
+  // so that turning it on later still loads the source.
+  if (!config.remoteFetching && !_has(sourceCache, url)) {
+    return [];
+  }
+
   if (!_has(sourceCache, url)) {
     // URL needs to be able to fetched within the acceptable domain.  Otherwise,
     // cross-domain errors will be triggered.
@@ -142,7 +153,7 @@ function getSource(url) {
     */
     let source = '',
         domain = '';
-    try { domain = window.document.domain; } catch (e) { }
+    try { domain = _global.document.domain; } catch (e) { }
     const match = /(.*)\:\/\/([^:\/]+)([:\d]*)\/{0,1}([\s\S]*)/.exec(url);
     if (match && match[2] === domain) {
       source = loadSource(url);
@@ -208,9 +219,9 @@ function gatherContext(url, line) {
     // linesBefore & linesAfter are inclusive with the offending line.
     // if linesOfContext is even, there will be one extra line
     //   *before* the offending line.
-    linesBefore = Math.floor(linesOfContext / 2),
+    linesBefore = Math.floor(config.linesOfContext / 2),
     // Add one extra line if linesOfContext is odd
-    linesAfter = linesBefore + (linesOfContext % 2),
+    linesAfter = linesBefore + (config.linesOfContext % 2),
     start = Math.max(0, line - linesBefore - 1),
     end = Math.min(source.length, line + linesAfter - 1);
 
@@ -307,12 +318,12 @@ function findSourceInLine(fragment, url, line) {
  * @memberof ErrorWatch.computeStackTrace
  */
 function findSourceByFunctionBody(func) {
-  if (_isUndefined(window && window.document)) {
+  if (_isUndefined(_global.document)) {
     return null;
   }
 
-  const urls = [window.location.href],
-    scripts = window.document.getElementsByTagName('script'),
+  const urls = [_global.location.href],
+    scripts = _global.document.getElementsByTagName('script'),
     code = '' + func,
     codeRE = /^function(?:\s+([\w$]+))?\s*\(([\w\s,]*)\)\s*\{\s*(\S[\s\S]*\S)\s*\}\s*$/,
     eventRE = /^function on([\w$]+)\s*\(event\)\s*\{\s*(\S[\s\S]*\S)\s*\}\s*$/;
@@ -422,6 +433,10 @@ function computeStackTraceFromStackProp(ex) {
   const chrome = /^\s*at (.*?) ?\(((?:file|https?|blob|chrome-extension|native|eval|webpack|<anonymous>|\/).*?)(?::(\d+))?(?::(\d+))?\)?\s*$/i,
     gecko = /^\s*(.*?)(?:\((.*?)\))?(?:^|@)((?:file|https?|blob|chrome|webpack|resource|\[native).*?|[^@]*bundle)(?::(\d+))?(?::(\d+))?\s*$/i,
     winjs = /^\s*at (?:((?:\[object object\])?.+) )?\(?((?:file|ms-appx|https?|webpack|blob):.*?):(\d+)(?::(\d+))?\)?\s*$/i,
+    // V8 in Node.js: node: builtins and paths without a protocol, e.g.
+    // "at Module._compile (node:internal/modules/cjs/loader:1105:14)",
+    // "at /app/server.js:3:7" or "at render (C:\\app\\page.js:10:5)"
+    node = /^\s*at (?:(.+?) \()?((?:node:|file:|[a-z]:[\\/]|\/)[^()]*?):(\d+)(?::(\d+))?\)?\s*$/i,
 
     geckoEval = /(\S+) line (\d+)(?: > eval line \d+)* > eval/i,
     chromeEval = /\((\S*)(?::(\d+))(?::(\d+))\)/,
@@ -452,6 +467,14 @@ function computeStackTraceFromStackProp(ex) {
         'line': parts[3] ? +parts[3] : null,
         'column': parts[4] ? +parts[4] : null
       };
+    } else if ((parts = node.exec(lines[i]))) {
+      element = {
+        'url': parts[2],
+        'func': parts[1] || UNKNOWN_FUNCTION,
+        'args': [],
+        'line': +parts[3],
+        'column': parts[4] ? +parts[4] : null
+      };
     } else if ( parts = winjs.exec(lines[i]) ) {
       element = {
         'url': parts[2],
@@ -616,7 +639,7 @@ function computeStackTraceFromOperaMultiLineMessage(ex) {
     lineRE2 = /^\s*Line (\d+) of inline#(\d+) script in ((?:file|https?|blob)\S+)(?:: in function (\S+))?\s*$/i,
     lineRE3 = /^\s*Line (\d+) of function script\s*$/i,
     stack = [],
-    scripts = (window && window.document && window.document.getElementsByTagName('script'));
+    scripts = (_global.document && _global.document.getElementsByTagName('script'));
   let inlineScriptBlocks = [],
     parts;
 
@@ -657,7 +680,7 @@ function computeStackTraceFromOperaMultiLineMessage(ex) {
         }
       }
     } else if ((parts = lineRE3.exec(lines[line]))) {
-      const url = window.location.href.replace(/#.*$/, '');
+      const url = _global.location.href.replace(/#.*$/, '');
       const re = new RegExp(escapeCodeAsRegExpForMatchingInsideHTML(lines[line + 1]));
       const src = findSourceInUrls(re, [url]);
       item = {
@@ -835,6 +858,17 @@ function computeStackTraceByWalkingCallerChain(ex, depth) {
   return result;
 }
 
+/**
+ * Sets the fingerprint of a stack trace, using the page-wide rules.
+ * @param {ErrorWatch.StackTrace} stack
+ * @return {ErrorWatch.StackTrace} The same stack.
+ * @memberof ErrorWatch.computeStackTrace
+ */
+function withFingerprint(stack) {
+  stack.fingerprint = computeFingerprint(stack, config.fingerprintRules);
+  return stack;
+}
+
 /**
  * Computes a stack trace for an exception.
  * @param {Error} ex
@@ -851,10 +885,10 @@ function computeStackTrace(ex, depth) {
     // property first!!
     stack = computeStackTraceFromStacktraceProp(ex);
     if (stack) {
-      return stack;
+      return withFingerprint(stack);
     }
   } catch (e) {
-    if (debug) {
+    if (config.debug) {
       throw e;
     }
   }
@@ -862,10 +896,10 @@ function computeStackTrace(ex, depth) {
   try {
     stack = computeStackTraceFromStackProp(ex);
     if (stack) {
-      return stack;
+      return withFingerprint(stack);
     }
   } catch (e) {
-    if (debug) {
+    if (config.debug) {
       throw e;
     }
   }
@@ -873,10 +907,10 @@ function computeStackTrace(ex, depth) {
   try {
     stack = computeStackTraceFromOperaMultiLineMessage(ex);
     if (stack) {
-      return stack;
+      return withFingerprint(stack);
     }
   } catch (e) {
-    if (debug) {
+    if (config.debug) {
       throw e;
     }
   }
@@ -884,19 +918,19 @@ function computeStackTrace(ex, depth) {
   try {
     stack = computeStackTraceByWalkingCallerChain(ex, depth + 1);
     if (stack) {
-      return stack;
+      return withFingerprint(stack);
     }
   } catch (e) {
-    if (debug) {
+    if (config.debug) {
       throw e;
     }
   }
 
-  return {
+  return withFingerprint({
     'name': ex.name,
     'message': ex.message,
     'mode': 'failed'
-  };
+  });
 }
 
 /**
@@ -920,5 +954,6 @@ computeStackTrace.guessFunctionName = guessFunctionName;
 computeStackTrace.gatherContext = gatherContext;
 computeStackTrace.ofCaller = computeStackTraceOfCaller;
 computeStackTrace.getSource = getSource;
+computeStackTrace.computeFingerprint = computeFingerprint;
 
 export default computeStackTrace;
@@ -1,7 +1,272 @@
-//Default options:
-export const remoteFetching = false;     // 获取远程源文件，没什么用关掉
-export const collectWindowErrors = true; // 是否通知 window 全局错误，开启，关掉了这个脚本就没意义了
-export const collectSourceErrors = true; // 是否在捕获阶段获取资源加载错误，默认开启
-export const linesOfContext = 11;        // 5 lines before, the offending line, 5 lines after，没啥用
-export const debug = false;
+/**
+ * Runtime configuration shared by report, resourceError and computeStackTrace.
+ *
+ * Syntax:
+ * ```js
+ *   ErrorWatch.init({ collectSourceErrors: false }) // reset to defaults, then apply
+ *   ErrorWatch.configure({ debug: true })          // merge into the current options
+ *   ErrorWatch.configure()                         // read the current options
+ * ```
+ *
+ * Options are read every time an error is captured, so a change made after
+ * startup applies to the next captured error.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import { _has, _extend } from './utils';
+
 export const reportFuncName = 'ErrorWatch.report';
+
+//Default options:
+export const defaults = {
+  remoteFetching: false,     // 获取远程源文件，没什么用关掉
+  collectWindowErrors: true, // 是否通知 window 全局错误，开启，关掉了这个脚本就没意义了
+  collectSourceErrors: true, // 是否在捕获阶段获取资源加载错误，默认开启
+  resourceRetry: false,      // 脚本、样式加载失败时重试，也可以是 { maxRetries, retryDelay, fallbackOrigins }，见 resourceError.js
+  linesOfContext: 11,        // 5 lines before, the offending line, 5 lines after，没啥用
+  debug: false,
+  allowUrls: [],             // 只上报顶层栈帧 url 匹配的错误，空数组表示不限制
+  denyUrls: [],              // 忽略顶层栈帧 url 匹配的错误
+  filter: null,              // function(stack, isWindowError, error)，返回 false 忽略该错误
+  fingerprintRules: [],      // 自定义错误分组规则，见 fingerprint.js
+  dedupeWindow: 0,           // ms，相同指纹的错误在窗口内合并为一条汇总，0 表示不合并
+  maxBreadcrumbs: 20,        // 保留的用户行为记录条数，0 表示不记录
+  autoBreadcrumbs: true,     // 自动记录的行为，也可以是 { dom, history, console, xhr, fetch }
+  sessionTimeout: 30 * 60 * 1000, // ms，无活动超过该时长会话结束，0 表示不记录会话
+  collectSessions: false,    // 是否通知会话开始、结束的汇总
+  release: null,             // 版本号，未设置时使用构建时注入的值，见 release.js
+  dist: null,                // 同一版本的不同构建
+  environment: null,         // 如 'production'、'staging'
+  collectHttpErrors: false,  // 是否上报失败的 fetch/XHR 请求，见 httpError.js
+  httpStatusRanges: [[500, 599]], // 视为失败的状态码，元素为状态码或 [min, max]
+  httpAllowUrls: [],         // 只上报请求 url 匹配的失败请求，空数组表示不限制
+  httpDenyUrls: [],          // 忽略请求 url 匹配的失败请求
+  httpRequestBody: false,    // 是否附带请求体
+  captureConsole: false,     // 上报 console 调用：true 只上报 console.error，或 ['error', 'warn', 'assert']
+  collectCspViolations: false, // 是否上报 CSP 违规，见 cspError.js
+  collectLongTasks: false,   // 是否上报长任务和主线程卡死，见 longTask.js
+  longTaskThreshold: 200,    // ms，只上报不短于该时长的长任务
+  freezeThreshold: 1000,     // ms，不支持长任务的浏览器中主线程阻塞超过该时长视为卡死，0 表示不检测
+  collectBlankScreens: false, // 是否上报白屏，见 blank.js
+  blankRootSelectors: ['html', 'body', '#app', '#root'], // 应用的容器元素，采样点最上层是这些元素时视为空白
+  blankSkeletonSelectors: [], // 骨架屏元素，采样点在其中时视为空白
+  blankCheckDelay: 1000,     // ms，load 和路由变化后多久检测白屏
+};
+
+// Options that configure stack parsing, the breadcrumbs, the sessions, the
+// freeze heartbeat, the resource retries and the blank screen check, which
+// are shared by every client on the page; clients created with createClient
+// can't override them.
+export const pageWideOptions = ['remoteFetching', 'linesOfContext', 'debug', 'maxBreadcrumbs', 'autoBreadcrumbs', 'sessionTimeout', 'freezeThreshold', 'resourceRetry',
+  'blankRootSelectors', 'blankSkeletonSelectors', 'blankCheckDelay'];
+
+// Expected type of every known option, checked by validateOptions;
+// alternatives are separated by '|'.
+const optionTypes = {
+  remoteFetching: 'Boolean',
+  collectWindowErrors: 'Boolean',
+  collectSourceErrors: 'Boolean',
+  resourceRetry: 'Boolean|Object',
+  linesOfContext: 'Number',
+  debug: 'Boolean',
+  allowUrls: 'Array',
+  denyUrls: 'Array',
+  filter: 'Function',
+  fingerprintRules: 'Array',
+  dedupeWindow: 'Number',
+  maxBreadcrumbs: 'Number',
+  autoBreadcrumbs: 'Boolean|Object',
+  sessionTimeout: 'Number',
+  collectSessions: 'Boolean',
+  release: 'String',
+  dist: 'String',
+  environment: 'String',
+  collectHttpErrors: 'Boolean',
+  httpStatusRanges: 'Array',
+  httpAllowUrls: 'Array',
+  httpDenyUrls: 'Array',
+  httpRequestBody: 'Boolean',
+  captureConsole: 'Boolean|Array',
+  collectCspViolations: 'Boolean',
+  collectLongTasks: 'Boolean',
+  longTaskThreshold: 'Number',
+  freezeThreshold: 'Number',
+  collectBlankScreens: 'Boolean',
+  blankRootSelectors: 'Array',
+  blankSkeletonSelectors: 'Array',
+  blankCheckDelay: 'Number',
+};
+
+/**
+ * The live options object. Modules must read properties from it at the time
+ * they are needed instead of copying them.
+ * @type {Object}
+ * @memberof ErrorWatch.config
+ */
+export const config = mergeOptions(defaults);
+
+/**
+ * Throws a TypeError if an option is unknown or has the wrong type.
+ * @param {Object=} options
+ * @memberof ErrorWatch.config
+ * @throws {TypeError} An exception describing the first invalid option.
+ */
+export function validateOptions(options) {
+  if (options == null) {
+    return;
+  }
+  if ({}.toString.call(options) !== '[object Object]') {
+    throw new TypeError('ErrorWatch: options must be an object');
+  }
+  for (let key in options) {
+    if (!_has(options, key)) {
+      continue;
+    }
+    if (!_has(optionTypes, key)) {
+      throw new TypeError(`ErrorWatch: unknown option "${key}"`);
+    }
+    if (options[key] == null && defaults[key] == null) {
+      continue; // options without a default may be unset
+    }
+    const types = optionTypes[key].split('|');
+    if (types.indexOf({}.toString.call(options[key]).slice(8, -1)) === -1) {
+      const expected = types.map(function (type) {
+        return `${/^[AEIOU]/.test(type) ? 'an' : 'a'} ${type.toLowerCase()}`;
+      });
+      throw new TypeError(`ErrorWatch: option "${key}" must be ${expected.join(' or ')}`);
+    }
+  }
+  if (_has(options, 'linesOfContext') && !(options.linesOfContext >= 0 && options.linesOfContext % 1 === 0)) {
+    throw new TypeError('ErrorWatch: option "linesOfContext" must be a non-negative integer');
+  }
+  if (_has(options, 'maxBreadcrumbs') && !(options.maxBreadcrumbs >= 0 && options.maxBreadcrumbs % 1 === 0)) {
+    throw new TypeError('ErrorWatch: option "maxBreadcrumbs" must be a non-negative integer');
+  }
+  if (_has(options, 'sessionTimeout') && !(options.sessionTimeout >= 0)) {
+    throw new TypeError('ErrorWatch: option "sessionTimeout" must be a non-negative number');
+  }
+  ['longTaskThreshold', 'freezeThreshold', 'blankCheckDelay'].forEach(function (key) {
+    if (_has(options, key) && !(options[key] >= 0)) {
+      throw new TypeError(`ErrorWatch: option "${key}" must be a non-negative number`);
+    }
+  });
+  if ({}.toString.call(options.resourceRetry) === '[object Object]') {
+    validateResourceRetry(options.resourceRetry);
+  }
+  if (Array.isArray(options.captureConsole)) {
+    options.captureConsole.forEach(function (level) {
+      if (['error', 'warn', 'assert'].indexOf(level) === -1) {
+        throw new TypeError('ErrorWatch: option "captureConsole" may only contain "error", "warn" and "assert"');
+      }
+    });
+  }
+}
+
+/**
+ * Throws a TypeError if the `resourceRetry` object is invalid.
+ * @param {Object} retry
+ * @memberof ErrorWatch.config
+ * @throws {TypeError}
+ */
+function validateResourceRetry(retry) {
+  for (let key in retry) {
+    if (_has(retry, key) && ['maxRetries', 'retryDelay', 'fallbackOrigins'].indexOf(key) === -1) {
+      throw new TypeError(`ErrorWatch: unknown option "resourceRetry.${key}"`);
+    }
+  }
+  if (_has(retry, 'maxRetries') && !(retry.maxRetries >= 0 && retry.maxRetries % 1 === 0)) {
+    throw new TypeError('ErrorWatch: option "resourceRetry.maxRetries" must be a non-negative integer');
+  }
+  if (_has(retry, 'retryDelay') && !(retry.retryDelay >= 0)) {
+    throw new TypeError('ErrorWatch: option "resourceRetry.retryDelay" must be a non-negative number');
+  }
+  if (_has(retry, 'fallbackOrigins') && !(Array.isArray(retry.fallbackOrigins) && retry.fallbackOrigins.every(function (origin) {
+    return typeof origin === 'string' && /^[a-z][a-z0-9+.-]*:\/\/[^/?#]+$/i.test(origin);
+  }))) {
+    throw new TypeError('ErrorWatch: option "resourceRetry.fallbackOrigins" must be an array of origins such as "https://cdn.example.com"');
+  }
+}
+
+/**
+ * Same as validateOptions, but also rejects the page-wide options.
+ * @param {Object=} options
+ * @memberof ErrorWatch.config
+ * @throws {TypeError} An exception describing the first invalid option.
+ */
+export function validateClientOptions(options) {
+  validateOptions(options);
+  for (let i = 0; i < pageWideOptions.length; i++) {
+    if (options && _has(options, pageWideOptions[i])) {
+      throw new TypeError(`ErrorWatch: option "${pageWideOptions[i]}" is page-wide, set it with ErrorWatch.configure`);
+    }
+  }
+}
+
+/**
+ * Returns a new options object: `base` overridden by every own property of
+ * `options`. Neither argument is modified.
+ * @param {Object} base
+ * @param {Object=} options
+ * @return {Object}
+ * @memberof ErrorWatch.config
+ */
+export function mergeOptions(base, options) {
+  return _extend(_extend({}, base), options);
+}
+
+let optionsListeners = [];
+
+/**
+ * Calls `listener` every time the options of any client, the default one
+ * included, are changed with `configure` or `init`.
+ * @param {Function} listener
+ * @memberof ErrorWatch.config
+ */
+export function onOptionsChange(listener) {
+  optionsListeners.push(listener);
+}
+
+/**
+ * Copies every own property of `options` onto `target`.
+ * @param {Object} target
+ * @param {Object=} options
+ * @return {Object} A copy of the resulting `target`.
+ * @memberof ErrorWatch.config
+ */
+export function applyOptions(target, options) {
+  _extend(target, options);
+  for (let i = 0; i < optionsListeners.length; i++) {
+    optionsListeners[i]();
+  }
+  return mergeOptions(target);
+}
+
+/**
+ * Validates `options` and merges them into the live options.
+ * @param {Object=} options
+ * @return {Object} A copy of the resulting options.
+ * @memberof ErrorWatch
+ * @throws {TypeError} If an option is invalid; nothing is applied in that case.
+ */
+export function configure(options) {
+  validateOptions(options);
+  return applyOptions(config, options);
+}
+
+/**
+ * Resets the live options to the defaults and then applies `options`.
+ * @param {Object=} options
+ * @return {Object} A copy of the resulting options.
+ * @memberof ErrorWatch
+ * @throws {TypeError} If an option is invalid; nothing is applied in that case.
+ */
+export function init(options) {
+  validateOptions(options);
+  for (let key in config) {
+    if (_has(config, key)) {
+      delete config[key];
+    }
+  }
+  return configure(mergeOptions(defaults, options));
+}
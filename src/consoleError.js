@@ -0,0 +1,112 @@
+/**
+ * Console calls, reported with `mode: 'console'`.
+ *
+ * Syntax:
+ * ```js
+ *   ErrorWatch.configure({ captureConsole: true })                      // console.error
+ *   ErrorWatch.configure({ captureConsole: ['error', 'warn', 'assert'] })
+ * ```
+ *
+ * Many framework errors (React warnings, Vue's warn handler...) are only
+ * logged and never thrown. Each captured call is reported as:
+ * ```js
+ * {
+ *   mode: 'console',
+ *   name: 'console.error',
+ *   message: 'Warning: Each child in a list should have a unique "key" prop.',
+ *   level: 'error',
+ *   stack: [...], // where console.error was called
+ * }
+ * ```
+ * `console.assert` is only reported when the assertion fails. The call
+ * still goes through to the original console method, and console calls
+ * made by the handlers themselves are not reported again.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import computeStackTrace from './computeStackTrace';
+import { addInstrumentationHandler } from './instrument';
+import { onTeardown } from './teardown';
+import { _consoleMessage } from './utils';
+
+const MAX_MESSAGE_LENGTH = 1000;
+const CAPTURED_LEVELS = ['error', 'warn', 'assert'];
+// computeStackTrace.ofCaller, onConsole, the instrumentation's
+// triggerHandlers and the patched console method.
+const CALL_SITE_DEPTH = 4;
+
+let installed = false;
+let reporting = false;
+
+function createConsoleHandler(dispatch, isCaptured) {
+  return function onConsole(data) {
+    if (reporting || CAPTURED_LEVELS.indexOf(data.level) === -1 || !isCaptured(data.level)) {
+      return;
+    }
+    let message = _consoleMessage(data.level, data.args, MAX_MESSAGE_LENGTH);
+    if (message === null) {
+      return; // the assertion passed
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      message = message.slice(0, MAX_MESSAGE_LENGTH) + '…';
+    }
+    const stack = computeStackTrace.ofCaller(CALL_SITE_DEPTH - 1);
+    if (stack.mode !== 'callers' && stack.stack) {
+      stack.stack = stack.stack.slice(CALL_SITE_DEPTH);
+    }
+    let error = null;
+    for (let i = 0; i < data.args.length; i++) {
+      if (data.args[i] instanceof Error) {
+        error = data.args[i];
+        break;
+      }
+    }
+    reporting = true;
+    try {
+      dispatch({
+        name: `console.${data.level}`,
+        message: message,
+        mode: 'console',
+        level: data.level,
+        stack: stack.stack || null,
+      }, false, error);
+    } finally {
+      reporting = false;
+    }
+  };
+}
+
+/**
+ * Starts reporting console calls; called when the first client registers.
+ * Only the levels a registered client captures are reported, so that other
+ * calls cost no serialization or call site.
+ * @param {Function} dispatch Sends the reports to the clients.
+ * @param {Function} isCaptured `function(level)`, whether a registered client captures the level.
+ * @memberof ErrorWatch.consoleError
+ */
+export function installConsoleError(dispatch, isCaptured) {
+  if (installed) {
+    return;
+  }
+  installed = true;
+  onTeardown(function () {
+    installed = false;
+  });
+  addInstrumentationHandler('console', createConsoleHandler(dispatch, isCaptured));
+}
+
+/**
+ * Whether the `captureConsole` option of a client captures a console level.
+ * @param {string} level
+ * @param {(boolean|Array.<string>)} captureConsole `true` for 'error' only,
+ * or the captured levels.
+ * @return {boolean}
+ * @memberof ErrorWatch.consoleError
+ */
+export function capturesConsole(level, captureConsole) {
+  if (captureConsole === true) {
+    return level === 'error';
+  }
+  return !!captureConsole && captureConsole.indexOf(level) !== -1;
+}
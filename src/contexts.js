@@ -0,0 +1,176 @@
+/**
+ * Environment and device metadata attached to every report as `contexts`.
+ *
+ * Syntax:
+ * ```js
+ *   ErrorWatch.getContexts()
+ *   ErrorWatch.getContexts.parseUserAgent(navigator.userAgent)
+ * ```
+ *
+ * The contexts are:
+ *   - browser, os, engine: `{ name, version }` parsed from the user agent,
+ *     e.g. to tell which stack format (`mode`) a browser produces
+ *   - device:   `{ screenWidth, screenHeight, pixelRatio, memory, cores }`
+ *   - page:     `{ url, referrer }`
+ *   - viewport: `{ width, height }`
+ *   - locale:   `{ language, timezone, timezoneOffset }`
+ *   - network:  `{ online, effectiveType, downlink, rtt, saveData }`
+ *   - userAgent
+ *   - runtime:  `{ name: 'node', version }` in Node.js, null elsewhere
+ * What doesn't change during the life of the page is collected once; page,
+ * viewport, locale and network are read again for every report. Values the
+ * browser doesn't expose are null.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import { _extend, _global, _isNode } from './utils';
+
+// [name, RegExp whose first group is the version]; the first match wins, so
+// browsers that also claim to be Chrome or Safari come first.
+const BROWSERS = [
+  ['Edge', /\bEdg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /\b(?:OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /\bSamsungBrowser\/([\d.]+)/],
+  ['UC Browser', /\bUCBrowser\/([\d.]+)/],
+  ['WeChat', /\bMicroMessenger\/([\d.]+)/],
+  ['Firefox', /\b(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /\b(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /\bVersion\/([\d.]+).*Safari\//],
+  ['IE', /\b(?:MSIE |Trident\/.*\brv:)([\d.]+)/],
+];
+
+const WINDOWS_VERSIONS = { '10.0': '10', '6.3': '8.1', '6.2': '8', '6.1': '7', '6.0': 'Vista', '5.1': 'XP' };
+
+const OPERATING_SYSTEMS = [
+  ['Windows', /\bWindows NT ([\d.]+)/, function (version) {
+    return WINDOWS_VERSIONS[version] || version;
+  }],
+  ['iOS', /\b(?:iPhone|iPad|iPod).*? OS ([\d_]+)/],
+  ['Android', /\bAndroid ([\d.]+)/],
+  ['Chrome OS', /\bCrOS \S+ ([\d.]+)/],
+  ['Mac OS X', /\bMac OS X ([\d_.]+)/],
+  ['Linux', /\bLinux\b()/],
+];
+
+const WEBKIT = ['WebKit', /\bAppleWebKit\/([\d.]+)/];
+
+const ENGINES = [
+  ['EdgeHTML', /\bEdge\/([\d.]+)/],
+  ['Trident', /\bTrident\/([\d.]+)/],
+  ['Blink', /\bChrome\/([\d.]+)/],
+  WEBKIT,
+  ['Gecko', /\brv:([\d.]+)\) Gecko\//],
+  ['Presto', /\bPresto\/([\d.]+)/],
+];
+
+let staticContexts = null;
+
+function match(ua, list) {
+  for (let i = 0; i < list.length; i++) {
+    const groups = list[i][1].exec(ua);
+    if (groups) {
+      let version = groups[1] ? groups[1].replace(/_/g, '.') : null;
+      if (version && list[i][2]) {
+        version = list[i][2](version);
+      }
+      return { name: list[i][0], version: version };
+    }
+  }
+  return { name: null, version: null };
+}
+
+/**
+ * Parses the browser, OS and engine from a user agent string.
+ * @param {string} ua
+ * @return {{browser: Object, os: Object, engine: Object}} Each one is
+ * `{ name, version }`, null when unknown.
+ * @memberof ErrorWatch.contexts
+ */
+function parseUserAgent(ua) {
+  ua = String(ua || '');
+  const result = {
+    browser: match(ua, BROWSERS),
+    os: match(ua, OPERATING_SYSTEMS),
+    engine: match(ua, ENGINES),
+  };
+  if (result.os.name === 'iOS') {
+    // every iOS browser runs on WebKit
+    result.engine = match(ua, [WEBKIT]);
+  }
+  return result;
+}
+
+function valueOrNull(value) {
+  return value === undefined ? null : value;
+}
+
+function collectStatic() {
+  const navigator = _global.navigator || {},
+    screen = _global.screen || {},
+    contexts = parseUserAgent(navigator.userAgent);
+  contexts.device = {
+    screenWidth: valueOrNull(screen.width),
+    screenHeight: valueOrNull(screen.height),
+    pixelRatio: valueOrNull(_global.devicePixelRatio),
+    memory: valueOrNull(navigator.deviceMemory),
+    cores: valueOrNull(navigator.hardwareConcurrency),
+  };
+  contexts.userAgent = valueOrNull(navigator.userAgent);
+  contexts.runtime = _isNode() ? { name: 'node', version: process.versions.node } : null;
+  return contexts;
+}
+
+function getTimezone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Returns the contexts for a report being captured now.
+ * @return {Object}
+ * @memberof ErrorWatch
+ */
+export function getContexts() {
+  if (!staticContexts) {
+    staticContexts = collectStatic();
+  }
+  const navigator = _global.navigator || {},
+    documentElement = (_global.document && _global.document.documentElement) || {},
+    connection = navigator.connection || {},
+    contexts = {
+      browser: _extend({}, staticContexts.browser),
+      os: _extend({}, staticContexts.os),
+      engine: _extend({}, staticContexts.engine),
+      device: _extend({}, staticContexts.device),
+      userAgent: staticContexts.userAgent,
+      runtime: staticContexts.runtime && _extend({}, staticContexts.runtime),
+    };
+
+  contexts.page = {
+    url: _global.location ? _global.location.href : null,
+    referrer: _global.document ? _global.document.referrer || null : null,
+  };
+  contexts.viewport = {
+    width: valueOrNull(_global.innerWidth || documentElement.clientWidth),
+    height: valueOrNull(_global.innerHeight || documentElement.clientHeight),
+  };
+  contexts.locale = {
+    language: valueOrNull(navigator.language || navigator.userLanguage),
+    timezone: getTimezone(),
+    timezoneOffset: new Date().getTimezoneOffset(),
+  };
+  contexts.network = {
+    online: valueOrNull(navigator.onLine),
+    effectiveType: valueOrNull(connection.effectiveType),
+    downlink: valueOrNull(connection.downlink),
+    rtt: valueOrNull(connection.rtt),
+    saveData: valueOrNull(connection.saveData),
+  };
+  return contexts;
+}
+
+getContexts.parseUserAgent = parseUserAgent;
@@ -0,0 +1,103 @@
+/**
+ * Content Security Policy violations, reported with `mode: 'csp'`.
+ *
+ * Syntax:
+ * ```js
+ *   ErrorWatch.configure({ collectCspViolations: true })
+ * ```
+ *
+ * Every `securitypolicyviolation` event is reported as:
+ * ```js
+ * {
+ *   mode: 'csp',
+ *   name: 'CspViolation',
+ *   message: 'Refused to load https://evil.example.com/x.js because it violates "script-src-elem"',
+ *   stack: [{ url, func: '?', line, column }], // the source file, if known
+ *   csp: {
+ *     blockedURI, violatedDirective, effectiveDirective,
+ *     sourceFile, lineNumber, columnNumber, disposition, sample
+ *   }
+ * }
+ * ```
+ * A single bad inline script can fire hundreds of violations, so the same
+ * violation (directive, blocked URI and source position) is only reported
+ * once per page.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import { listen, onTeardown } from './teardown';
+
+// Distinct violations remembered; past this the oldest are forgotten.
+const MAX_SEEN = 100;
+
+let installed = false;
+let seen = [];
+
+/**
+ * Whether the same violation was already reported; remembers it otherwise.
+ * @param {SecurityPolicyViolationEvent} e
+ * @return {boolean}
+ * @memberof ErrorWatch.cspError
+ */
+function isRepeat(e) {
+  const key = [e.effectiveDirective || e.violatedDirective, e.blockedURI, e.sourceFile, e.lineNumber, e.columnNumber].join(' ');
+  if (seen.indexOf(key) !== -1) {
+    return true;
+  }
+  seen.push(key);
+  if (seen.length > MAX_SEEN) {
+    seen.shift();
+  }
+  return false;
+}
+
+function createViolationHandler(dispatch) {
+  return function (e) {
+    if (isRepeat(e)) {
+      return;
+    }
+    const directive = e.effectiveDirective || e.violatedDirective,
+      blocked = e.blockedURI || 'inline';
+    dispatch({
+      name: 'CspViolation',
+      message: `Refused to load ${blocked} because it violates "${directive}"`,
+      mode: 'csp',
+      stack: e.sourceFile ? [{
+        url: e.sourceFile,
+        func: '?',
+        args: [],
+        line: e.lineNumber || null,
+        column: e.columnNumber || null,
+        context: null,
+      }] : null,
+      csp: {
+        blockedURI: e.blockedURI || null,
+        violatedDirective: e.violatedDirective || null,
+        effectiveDirective: e.effectiveDirective || null,
+        sourceFile: e.sourceFile || null,
+        lineNumber: e.lineNumber || null,
+        columnNumber: e.columnNumber || null,
+        disposition: e.disposition || null,
+        sample: e.sample || null,
+      },
+    }, true, e);
+  };
+}
+
+/**
+ * Starts reporting CSP violations; called when the first client registers.
+ * @param {Function} dispatch Sends the reports to the clients.
+ * @memberof ErrorWatch.cspError
+ */
+export function installCspError(dispatch) {
+  if (installed || typeof document === 'undefined') {
+    return;
+  }
+  installed = true;
+  onTeardown(function () {
+    installed = false;
+    seen = [];
+  });
+  listen(document, 'securitypolicyviolation', createViolationHandler(dispatch));
+}
@@ -0,0 +1,99 @@
+/**
+ * Collapses repeated errors, e.g. one thrown on every tick of a wrapped
+ * `setInterval`.
+ *
+ * Syntax:
+ * ```js
+ *   ErrorWatch.configure({ dedupeWindow: 60000 })
+ * ```
+ *
+ * Errors with the same fingerprint are counted for `dedupeWindow` ms from
+ * the first one. The first occurrence is delivered right away with
+ * `count: 1`. If it happened again within the window, one summary is
+ * delivered when the window ends: a copy of the latest occurrence with
+ * `summary: true`, `count` (every occurrence in the window, the first one
+ * included), `firstSeen` and `lastSeen` (ms timestamps). The next
+ * occurrence after the window starts a new one. `destroy` drops the
+ * windows still open, with their summaries: the handlers are already
+ * removed by then.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import { onTeardown } from './teardown';
+import { _extend } from './utils';
+
+/**
+ * Creates a deduplicator.
+ * @param {Function} getWindow Returns the current window in ms; 0 turns
+ * deduplication off.
+ * @param {Function} deliverSummary `deliverSummary(stack, isWindowError, error)`
+ * called when a window with repeats ends.
+ * @return {Function} `check(stack, isWindowError, error)`: returns the stack
+ * to deliver now, or null if it was collapsed.
+ * @memberof ErrorWatch.dedupe
+ */
+export function createDeduper(getWindow, deliverSummary) {
+  let windows = {},
+    hasTeardown = false;
+
+  function dropWindows() {
+    for (let fingerprint in windows) {
+      clearTimeout(windows[fingerprint].timer);
+    }
+    windows = {};
+    hasTeardown = false;
+  }
+
+  function closeWindow(fingerprint) {
+    const entry = windows[fingerprint];
+    delete windows[fingerprint];
+    if (entry.count > 1) {
+      const summary = _extend({}, entry.stack);
+      summary.summary = true;
+      summary.count = entry.count;
+      summary.firstSeen = entry.firstSeen;
+      summary.lastSeen = entry.lastSeen;
+      deliverSummary(summary, entry.isWindowError, entry.error);
+    }
+  }
+
+  return function check(stack, isWindowError, error) {
+    const dedupeWindow = getWindow();
+    if (!dedupeWindow || !stack.fingerprint) {
+      return stack;
+    }
+
+    const now = new Date().getTime(),
+      entry = windows[stack.fingerprint];
+    if (entry) {
+      entry.count++;
+      entry.lastSeen = now;
+      entry.stack = stack;
+      entry.isWindowError = isWindowError;
+      entry.error = error;
+      return null;
+    }
+
+    windows[stack.fingerprint] = {
+      count: 1,
+      firstSeen: now,
+      lastSeen: now,
+      stack: stack,
+      isWindowError: isWindowError,
+      error: error,
+      timer: setTimeout(function () {
+        closeWindow(stack.fingerprint);
+      }, dedupeWindow),
+    };
+    if (!hasTeardown) {
+      hasTeardown = true;
+      onTeardown(dropWindows);
+    }
+
+    stack.count = 1;
+    stack.firstSeen = now;
+    stack.lastSeen = now;
+    return stack;
+  };
+}
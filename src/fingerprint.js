@@ -0,0 +1,189 @@
+/**
+ * Stable grouping keys for StackTrace objects.
+ *
+ * The fingerprint is a hash of:
+ *   - the error name (`Error` if unknown);
+ *   - the message, with quoted values, ids and numbers replaced by
+ *     placeholders so that `Cannot read property 'a' of undefined` and
+ *     `Cannot read property 'b' of undefined` group together;
+ *   - the top in-app frames: URL path without origin, query or hash,
+ *     function name without its receiver (`Object.foo` and `foo` are the
+ *     same function) and line. Columns are left out, they differ between
+ *     browsers.
+ *
+ * Resource errors use the tag and the URL path of the failed resource.
+ *
+ * Custom rules (the `fingerprintRules` option) replace the default parts
+ * for matching stacks:
+ * ```js
+ *   ErrorWatch.configure({ fingerprintRules: [
+ *     { message: /^ChunkLoadError/, fingerprint: ['chunk-load-error'] },
+ *     { url: '/vendor/', fingerprint: ['{{ default }}', 'vendor'] }
+ *   ]})
+ * ```
+ * A rule matches when all of its `name`, `mode`, `message` and `url`
+ * patterns do (strings match as substrings, RegExps are tested).
+ * `{{ default }}` stands for the default parts.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+
+const MAX_FRAMES = 3;
+const DEFAULT_PART = '{{ default }}';
+
+/**
+ * Replaces the variable parts of an error message with placeholders.
+ * @param {*} message
+ * @return {string}
+ * @memberof ErrorWatch.fingerprint
+ */
+export function templateMessage(message) {
+  return String(message == null ? '' : message)
+    .replace(/^[Uu]ncaught (?:exception: )?/, '')
+    .replace(/"[^"]*"|'[^']*'|`[^`]*`/g, '<str>')
+    .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<id>')
+    .replace(/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, '<id>')
+    .replace(/\d+(?:\.\d+)?/g, '<n>')
+    .replace(/\s+/g, ' ')
+    .replace(/^\s+|\s+$/g, '');
+}
+
+/**
+ * Returns the path of a URL, without origin, query or hash.
+ * @param {?string} url
+ * @return {string}
+ * @memberof ErrorWatch.fingerprint
+ */
+function urlPath(url) {
+  return String(url || '')
+    .replace(/[?#].*$/, '')
+    .replace(/^[a-z][a-z\d+\-.]*:\/\/[^\/]*/i, '');
+}
+
+/**
+ * Normalizes a function name across browsers: Chrome prefixes the receiver
+ * (`Object.foo`, `new Foo`), Firefox suffixes nested functions (`foo/<`).
+ * @param {?string} func
+ * @return {string}
+ * @memberof ErrorWatch.fingerprint
+ */
+function normalizeFunc(func) {
+  if (!func || func === '?') {
+    return '';
+  }
+  const name = func.replace(/^(?:new|async) /, '').replace(/[\/<]+$/, '');
+  return name.slice(name.lastIndexOf('.') + 1);
+}
+
+/**
+ * Whether a frame belongs to the page, as opposed to native code, browser
+ * extensions and eval'd code without a URL.
+ * @param {ErrorWatch.StackFrame} frame
+ * @return {boolean}
+ * @memberof ErrorWatch.fingerprint
+ */
+function isInAppFrame(frame) {
+  const url = frame && frame.url;
+  return !!url && url !== '<anonymous>' && url !== '[native code]' &&
+    !/^(?:native|(?:chrome|moz|safari(?:-web)?)-extension):/i.test(url);
+}
+
+/**
+ * Returns the top in-app frames of a stack.
+ * @param {ErrorWatch.StackTrace} stack
+ * @return {ErrorWatch.StackFrame[]}
+ * @memberof ErrorWatch.fingerprint
+ */
+function inAppFrames(stack) {
+  const frames = stack.stack || [];
+  let result = [];
+  for (let i = 0; i < frames.length && result.length < MAX_FRAMES; i++) {
+    if (isInAppFrame(frames[i])) {
+      result.push(frames[i]);
+    }
+  }
+  return result;
+}
+
+/**
+ * The parts the default fingerprint is made of.
+ * @param {ErrorWatch.StackTrace} stack
+ * @return {string[]}
+ * @memberof ErrorWatch.fingerprint
+ */
+function defaultParts(stack) {
+  if (stack.mode === 'resource') {
+    return ['resource', templateMessage(stack.message), urlPath(stack.name)];
+  }
+  let parts = [stack.name || 'Error', templateMessage(stack.message)];
+  const frames = inAppFrames(stack);
+  for (let i = 0; i < frames.length; i++) {
+    parts.push(urlPath(frames[i].url) + ':' + normalizeFunc(frames[i].func) + ':' + (frames[i].line || ''));
+  }
+  return parts;
+}
+
+function matches(value, pattern) {
+  if (pattern == null) {
+    return true;
+  }
+  value = value == null ? '' : String(value);
+  return typeof pattern === 'string' ? value.indexOf(pattern) !== -1 : pattern.test(value);
+}
+
+/**
+ * Returns the first rule that matches a stack.
+ * @param {ErrorWatch.StackTrace} stack
+ * @param {Array.<Object>} rules
+ * @return {?Object}
+ * @memberof ErrorWatch.fingerprint
+ */
+function findRule(stack, rules) {
+  const frames = inAppFrames(stack);
+  const url = stack.mode === 'resource' ? stack.name : (frames.length ? frames[0].url : null);
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    if (matches(stack.name, rule.name) && matches(stack.mode, rule.mode) &&
+      matches(stack.message, rule.message) && matches(url, rule.url)) {
+      return rule;
+    }
+  }
+  return null;
+}
+
+/**
+ * 32-bit FNV-1a hash as 8 hex digits.
+ * @param {string} str
+ * @return {string}
+ * @memberof ErrorWatch.fingerprint
+ */
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = (h + ((h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24))) >>> 0;
+  }
+  return ('0000000' + h.toString(16)).slice(-8);
+}
+
+/**
+ * Computes the fingerprint of a stack.
+ * @param {ErrorWatch.StackTrace} stack
+ * @param {Array.<Object>=} rules Custom fingerprint rules.
+ * @return {string}
+ * @memberof ErrorWatch.fingerprint
+ */
+export function computeFingerprint(stack, rules) {
+  let parts = defaultParts(stack);
+  const rule = rules && rules.length ? findRule(stack, rules) : null;
+  if (rule) {
+    const custom = [].concat(rule.fingerprint);
+    let expanded = [];
+    for (let i = 0; i < custom.length; i++) {
+      expanded = expanded.concat(custom[i] === DEFAULT_PART ? parts : [String(custom[i])]);
+    }
+    parts = expanded;
+  }
+  return hash(parts.join('\n'));
+}
@@ -0,0 +1,73 @@
+/**
+ * Reports forwarded from another global scope, a worker or a frame, so that
+ * one pipeline handles them.
+ *
+ * A message is `{ type: 'errorWatch.report', stack, isWindowError, [key]: sender }`,
+ * where `key` is `worker` or `frame` and `sender` describes where the report
+ * comes from. The receiver sends it to its own clients like its own errors,
+ * with the sender's `breadcrumbs`, `contexts`, `sessionId`, `user`, `tags`
+ * and `extra` moved under `key`, as well as the sender's own `key` when the
+ * report was forwarded before.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import { dispatch } from './hub';
+import { getScope } from './scope';
+import { _extend, _safeJSON } from './utils';
+
+const MESSAGE_TYPE = 'errorWatch.report';
+// Set by the sender's own pipeline, replaced by the receiver's.
+const SENDER_FIELDS = ['breadcrumbs', 'contexts', 'sessionId', 'user', 'tags', 'extra'];
+
+/**
+ * @param {ErrorWatch.StackTrace} stack
+ * @param {boolean} isWindowError
+ * @param {string} key 'worker' or 'frame'.
+ * @param {Object} sender
+ * @return {?Object} The message to post, null if the stack can't be serialized.
+ * @memberof ErrorWatch.forward
+ */
+export function createMessage(stack, isWindowError, key, sender) {
+  let json;
+  try {
+    // drops what can't be cloned, e.g. functions in `extra`
+    json = _safeJSON(stack);
+  } catch (e) {
+    return null; // a toJSON method or a getter threw
+  }
+  const message = {
+    type: MESSAGE_TYPE,
+    stack: JSON.parse(json),
+    isWindowError: isWindowError,
+  };
+  message[key] = sender;
+  return message;
+}
+
+/**
+ * Sends a forwarded report to the clients, if data is one.
+ * @param {*} data The data of a message event.
+ * @param {string} key 'worker' or 'frame'.
+ * @param {Object=} sender Overrides what the message says about the sender.
+ * @return {boolean} Whether data was a forwarded report.
+ * @memberof ErrorWatch.forward
+ */
+export function receiveMessage(data, key, sender) {
+  if (!data || data.type !== MESSAGE_TYPE || !data.stack) {
+    return false;
+  }
+  const stack = _extend({}, data.stack),
+    info = _extend(_extend({}, data[key]), sender);
+  for (let i = 0; i < SENDER_FIELDS.length; i++) {
+    info[SENDER_FIELDS[i]] = stack[SENDER_FIELDS[i]];
+    delete stack[SENDER_FIELDS[i]];
+  }
+  if (stack[key]) {
+    info[key] = stack[key]; // forwarded more than once, e.g. from a nested frame
+  }
+  delete stack.fingerprint;
+  stack[key] = info;
+  dispatch(stack, !!data.isWindowError, null, { scope: getScope(), entryPoint: stack.entryPoint || null });
+  return true;
+}
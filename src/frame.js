@@ -0,0 +1,262 @@
+/**
+ * Iframe support.
+ *
+ * The errors of an iframe don't reach the `window.onerror` of the page that
+ * embeds it. A frame running ErrorWatch can forward its reports to the
+ * parent page, which sends them to its own clients like its own errors.
+ *
+ * Syntax:
+ * ```js
+ *   // iframe, loaded from https://widgets.example.com
+ *   ErrorWatch.report.subscribe(ErrorWatch.forwardToParent({ targetOrigin: 'https://app.example.com' }));
+ *
+ *   // page, on https://app.example.com
+ *   ErrorWatch.listenToFrames({ allowOrigins: ['https://widgets.example.com'] });
+ * ```
+ *
+ * The page only accepts reports posted by its own iframes from its own
+ * origin or from `allowOrigins`. The frame's `breadcrumbs`, `contexts`,
+ * `sessionId`, `user`, `tags` and `extra` are moved under `frame`:
+ * ```js
+ * {
+ *   mode: 'stack',
+ *   name: 'TypeError',
+ *   ...
+ *   frame: { url: 'https://widgets.example.com/chat', name: 'chat', origin: 'https://widgets.example.com', selector: 'iframe#chat', breadcrumbs, ... }
+ * }
+ * ```
+ *
+ * Same-origin iframes don't need ErrorWatch of their own: unless
+ * `autoInstall` is false, the page listens to the `error`,
+ * `unhandledrejection` and `rejectionhandled` events of every same-origin iframe, including the
+ * ones added later, each time one loads. Errors thrown before the `load`
+ * event are missed; iframes where ErrorWatch handles errors itself, any
+ * build or copy of it, are skipped.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import computeStackTrace from './computeStackTrace';
+import { computeStackTraceFromOnError, dispatch } from './hub';
+import { createMessage, receiveMessage } from './forward';
+import { computeRejectionStack, computeRejectionHandledStack, trackRejection } from './rejection';
+import { listen, onTeardown } from './teardown';
+import { _cssSelector, _global, _WINDOW_MARKER } from './utils';
+
+function ownOrigin() {
+  return _global.location ? _global.location.origin : null;
+}
+
+/**
+ * Creates a handler that posts the reports of a frame to its parent page.
+ * Subscribe it to the clients whose reports the page should get; it does
+ * nothing in a top-level window.
+ * @param {Object=} options
+ * @param {string=} options.targetOrigin The origin of the parent page; the
+ * frame's own origin by default. `'*'` posts to any page that embeds it.
+ * @return {Function} A handler: `function(stack, isWindowError)`.
+ * @memberof ErrorWatch
+ * @throws {TypeError} If targetOrigin is not a string.
+ */
+export function forwardToParent(options) {
+  const targetOrigin = options && options.targetOrigin !== undefined ? options.targetOrigin : ownOrigin();
+  if (typeof targetOrigin !== 'string') {
+    throw new TypeError('ErrorWatch: forwardToParent targetOrigin must be a String');
+  }
+  return function forward(stack, isWindowError) {
+    const parent = _global.parent;
+    if (!parent || parent === _global || !stack) {
+      return;
+    }
+    const message = createMessage(stack, isWindowError, 'frame', {
+      url: _global.location ? _global.location.href : null,
+      name: _global.name || null,
+    });
+    if (message) {
+      parent.postMessage(message, targetOrigin);
+    }
+  };
+}
+
+/**
+ * Finds the iframe of the page whose window is win.
+ * @param {Window} win
+ * @return {?HTMLIFrameElement}
+ * @memberof ErrorWatch.frame
+ */
+function findFrame(win) {
+  const frames = _global.document.getElementsByTagName('iframe');
+  for (let i = 0; i < frames.length; i++) {
+    if (frames[i].contentWindow === win) {
+      return frames[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the window of an iframe if the page can script it.
+ * @param {HTMLIFrameElement} iframe
+ * @return {?Window}
+ * @memberof ErrorWatch.frame
+ */
+function sameOriginWindow(iframe) {
+  try {
+    const win = iframe.contentWindow;
+    return win && win.document ? win : null;
+  } catch (e) {
+    return null; // cross-origin
+  }
+}
+
+/**
+ * Sends the errors of a same-origin iframe's window to the clients of the
+ * page. Does nothing if the window runs ErrorWatch itself or is already
+ * listened to; errors are not sent either once the window starts running
+ * ErrorWatch, which reports them itself.
+ * @param {HTMLIFrameElement} iframe
+ * @param {Array} installed The windows already listened to.
+ * @memberof ErrorWatch.frame
+ */
+function installIntoFrame(iframe, installed) {
+  const win = sameOriginWindow(iframe);
+  if (!win || win[_WINDOW_MARKER] || installed.indexOf(win) !== -1) {
+    return;
+  }
+  installed.push(win);
+
+  function send(stack, isWindowError, error) {
+    if (win[_WINDOW_MARKER]) {
+      return;
+    }
+    stack.frame = {
+      url: win.location.href,
+      name: win.name || null,
+      origin: win.location.origin,
+      selector: _cssSelector(iframe),
+    };
+    dispatch(stack, isWindowError, error);
+  }
+
+  listen(win, 'error', function (e) {
+    send(e.error ? computeStackTrace(e.error) : computeStackTraceFromOnError(e.message, e.filename, e.lineno, e.colno), true, e.error || null);
+  });
+  listen(win, 'unhandledrejection', function (e) {
+    const stack = computeRejectionStack(e.reason);
+    trackRejection(e.promise, stack);
+    send(stack, true, e.reason);
+  });
+  listen(win, 'rejectionhandled', function (e) {
+    const stack = computeRejectionHandledStack(e.promise);
+    if (stack) {
+      send(stack, false, null);
+    }
+  });
+}
+
+/**
+ * Watches the iframes of the page, present and future, and listens to the
+ * errors of the same-origin ones each time they load.
+ * @memberof ErrorWatch.frame
+ */
+function autoInstall() {
+  const document = _global.document,
+    installed = [],
+    watched = [];
+
+  function watch(iframe) {
+    if (watched.indexOf(iframe) !== -1) {
+      return;
+    }
+    watched.push(iframe);
+    listen(iframe, 'load', function () {
+      installIntoFrame(iframe, installed);
+    });
+    if (iframe.contentDocument && iframe.contentDocument.readyState === 'complete') {
+      installIntoFrame(iframe, installed);
+    }
+  }
+
+  function watchAll(root) {
+    if (root.nodeType !== 1) {
+      return;
+    }
+    if (root.tagName === 'IFRAME') {
+      watch(root);
+    }
+    const iframes = root.getElementsByTagName('iframe');
+    for (let i = 0; i < iframes.length; i++) {
+      watch(iframes[i]);
+    }
+  }
+
+  if (document.documentElement) {
+    watchAll(document.documentElement);
+  }
+  if (typeof _global.MutationObserver !== 'function') {
+    return;
+  }
+  const observer = new _global.MutationObserver(function (mutations) {
+    for (let i = 0; i < mutations.length; i++) {
+      const added = mutations[i].addedNodes;
+      for (let j = 0; j < added.length; j++) {
+        watchAll(added[j]);
+      }
+    }
+  });
+  observer.observe(document, { childList: true, subtree: true });
+  onTeardown(function () {
+    observer.disconnect();
+  });
+}
+
+/**
+ * Sends the reports forwarded by the iframes of the page, and the errors
+ * of its same-origin iframes, to the clients of the page.
+ * `ErrorWatch.destroy` stops listening.
+ * @param {Object=} options
+ * @param {Array.<(string|RegExp)>=} options.allowOrigins The origins of
+ * cross-origin iframes to accept reports from, e.g.
+ * `'https://widgets.example.com'`. The page's own origin is always accepted.
+ * @param {boolean=} options.autoInstall Listen to the errors of same-origin
+ * iframes, true by default.
+ * @memberof ErrorWatch
+ * @throws {TypeError} If there is no document or allowOrigins is not an Array.
+ */
+export function listenToFrames(options) {
+  const allowOrigins = (options && options.allowOrigins) || [];
+  if (!_global.document) {
+    throw new TypeError('ErrorWatch: listenToFrames needs a document');
+  }
+  if (!Array.isArray(allowOrigins)) {
+    throw new TypeError('ErrorWatch: listenToFrames allowOrigins must be an Array');
+  }
+
+  function isAllowed(origin) {
+    if (origin === ownOrigin()) {
+      return true;
+    }
+    for (let i = 0; i < allowOrigins.length; i++) {
+      const allowed = allowOrigins[i];
+      if (typeof allowed === 'string' ? allowed === origin : allowed.test(origin)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  listen(_global, 'message', function (e) {
+    if (!isAllowed(e.origin)) {
+      return;
+    }
+    const iframe = e.source ? findFrame(e.source) : null;
+    if (!iframe) {
+      return; // not one of our iframes
+    }
+    receiveMessage(e.data, 'frame', { origin: e.origin, selector: _cssSelector(iframe) });
+  });
+
+  if (!options || options.autoInstall !== false) {
+    autoInstall();
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Failed fetch and XMLHttpRequest calls, reported with `mode: 'http'`.
+ *
+ * Syntax:
+ * ```js
+ *   ErrorWatch.configure({
+ *     collectHttpErrors: true,
+ *     httpStatusRanges: [[500, 599], 429],
+ *     httpDenyUrls: [/\/analytics\//],
+ *   })
+ * ```
+ *
+ * A request fails when it errors (network or CORS failure), is aborted or
+ * times out, or completes with a status in `httpStatusRanges`. The report
+ * looks like:
+ * ```js
+ * {
+ *   mode: 'http',
+ *   name: 'HttpError',
+ *   message: 'GET https://api.example.com/cart failed with status 503',
+ *   stack: [...], // where fetch() or xhr.send() was called
+ *   request: { method, url, status, reason, duration, body }
+ * }
+ * ```
+ * `reason` is null for a completed request, or 'error', 'abort' or
+ * 'timeout'. Credentials, the fragment and the values of sensitive query
+ * parameters (tokens, keys, passwords...) are removed from the url. The
+ * request body is only kept with `httpRequestBody`.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import computeStackTrace from './computeStackTrace';
+import { addInstrumentationHandler } from './instrument';
+import { onTeardown } from './teardown';
+
+const MAX_BODY_LENGTH = 1000;
+const SENSITIVE_PARAM_RE = /token|key|secret|passw(?:or)?d|auth|session|sig(?:nature)?/i;
+// computeStackTrace.ofCaller, getCallSite, onRequestStart, the
+// instrumentation's triggerHandlers and the patched send/fetch.
+const CALL_SITE_DEPTH = 5;
+
+let installed = false;
+
+/**
+ * Removes credentials, the fragment and sensitive query parameter values
+ * from a URL.
+ * @param {string} url
+ * @param {boolean=} keepFragment Keep the fragment, e.g. a hash route,
+ * with the values of its sensitive parameters removed too.
+ * @return {string}
+ * @memberof ErrorWatch.httpError
+ */
+export function sanitizeUrl(url, keepFragment) {
+  let result = String(url).replace(/^([a-z][a-z\d+.-]*:\/\/)[^/?#@]*@/i, '$1');
+  if (!keepFragment) {
+    result = result.replace(/#.*$/, '');
+  }
+  return result.replace(/([?&#])([^=&#?]+)=([^&#]*)/g, function (param, separator, key) {
+    return SENSITIVE_PARAM_RE.test(key) ? `${separator}${key}=[Filtered]` : param;
+  });
+}
+
+function describeBody(body) {
+  if (body == null) {
+    return null;
+  }
+  if (typeof body === 'string') {
+    return body.length > MAX_BODY_LENGTH ? body.slice(0, MAX_BODY_LENGTH) + '…' : body;
+  }
+  return {}.toString.call(body); // e.g. [object FormData]
+}
+
+function createRequestStart(isCollected) {
+  return function (data) {
+    if (isCollected()) {
+      data.callSite = getCallSite();
+    }
+  };
+}
+
+/**
+ * Where fetch() or xhr.send() was called, without ErrorWatch's own frames.
+ * @return {?Array.<ErrorWatch.StackFrame>}
+ * @memberof ErrorWatch.httpError
+ */
+function getCallSite() {
+  const stack = computeStackTrace.ofCaller(CALL_SITE_DEPTH - 1);
+  if (stack.mode !== 'callers' && stack.stack) {
+    stack.stack = stack.stack.slice(CALL_SITE_DEPTH);
+  }
+  return stack.stack || null;
+}
+
+function createRequestEnd(dispatch) {
+  return function (data) {
+    if (!data.reason && !(data.status >= 400)) {
+      return; // clients only receive failures, filtered by status range
+    }
+    const url = sanitizeUrl(data.url);
+    dispatch({
+      name: 'HttpError',
+      message: data.reason ?
+        `${data.method} ${url} failed: ${data.reason}` :
+        `${data.method} ${url} failed with status ${data.status}`,
+      mode: 'http',
+      stack: data.callSite || null,
+      request: {
+        method: data.method,
+        url: url,
+        status: data.status,
+        reason: data.reason,
+        duration: data.endTimestamp - data.startTimestamp,
+        body: describeBody(data.body),
+      },
+    }, false, data.error || null);
+  };
+}
+
+/**
+ * Starts reporting failed requests; called when the first client registers.
+ * The call site of a request is only captured while `isCollected()`.
+ * @param {Function} dispatch Sends the reports to the clients.
+ * @param {Function} isCollected Whether a registered client has `collectHttpErrors`.
+ * @memberof ErrorWatch.httpError
+ */
+export function installHttpError(dispatch, isCollected) {
+  if (installed) {
+    return;
+  }
+  installed = true;
+  onTeardown(function () {
+    installed = false;
+  });
+  const onRequestStart = createRequestStart(isCollected),
+    onRequestEnd = createRequestEnd(dispatch);
+  addInstrumentationHandler('xhr.start', onRequestStart);
+  addInstrumentationHandler('fetch.start', onRequestStart);
+  addInstrumentationHandler('xhr', onRequestEnd);
+  addInstrumentationHandler('fetch', onRequestEnd);
+}
+
+/**
+ * Whether a status is in one of the ranges.
+ * @param {number} status
+ * @param {Array.<(number|Array.<number>)>} ranges Statuses and `[min, max]` ranges.
+ * @return {boolean}
+ * @memberof ErrorWatch.httpError
+ */
+export function inStatusRanges(status, ranges) {
+  for (let i = 0; i < ranges.length; i++) {
+    const range = ranges[i];
+    if (typeof range === 'number' ? status === range : status >= range[0] && status <= range[1]) {
+      return true;
+    }
+  }
+  return false;
+}
@@ -0,0 +1,420 @@
+/**
+ * The page-wide hub shared by every client.
+ *
+ * There is only one `window.onerror`, one `window.onunhandledrejection`, one
+ * resource error listener, one CSP violation listener and one fetch/XHR and
+ * console instrumentation per page, so the hub owns them and sends each
+ * window error, failed request, console call or CSP violation to every
+ * registered client. A client registers itself when
+ * its first handler subscribes and unregisters when its last handler leaves;
+ * the global handlers are installed while at least one client is registered.
+ * Breadcrumbs start being recorded and the session starts when the first
+ * client registers; long tasks and blank screens are watched while a
+ * registered client collects them.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+
+import computeStackTrace from './computeStackTrace';
+import { installResourceLoadError, uninstallResourceLoadError, cancelResourceRetries } from './resourceError';
+import { installBreadcrumbs } from './breadcrumbs';
+import { installSessions } from './session';
+import { installHttpError } from './httpError';
+import { installConsoleError, capturesConsole } from './consoleError';
+import { installCspError } from './cspError';
+import { updateLongTasks } from './longTask';
+import { updateBlankScreen } from './blank';
+import { computeRejectionStack, computeRejectionHandledStack, trackRejection, resetRejections } from './rejection';
+import { runTeardowns } from './teardown';
+import { onOptionsChange } from './config';
+import { _global, _isWorker, _WINDOW_MARKER } from './utils';
+
+// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error#Error_types
+const ERROR_TYPES_RE = /^(?:[Uu]ncaught (?:exception: )?)?(?:((?:Eval|Internal|Range|Reference|Syntax|Type|URI|)Error): )?(.*)$/;
+
+let clients = [];
+let _globalHandlers = null, _globalHandlersInstalled = false;
+
+/**
+ * Whether the options of at least one registered client pass a test.
+ * @param {Function} test `function(options)`
+ * @return {boolean}
+ * @memberof ErrorWatch.hub
+ */
+export function someClient(test) {
+  for (let i = 0; i < clients.length; i++) {
+    if (test(clients[i]._getOptions())) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function collectsLongTasks(options) {
+  return options.collectLongTasks;
+}
+
+function collectsBlankScreens(options) {
+  return options.collectBlankScreens;
+}
+
+function collectsHttpErrors() {
+  return someClient(function (options) {
+    return options.collectHttpErrors;
+  });
+}
+
+function capturesConsoleLevel(level) {
+  return someClient(function (options) {
+    return capturesConsole(level, options.captureConsole);
+  });
+}
+
+/**
+ * Starts or stops the opt-in watchers to match the registered clients.
+ * @memberof ErrorWatch.hub
+ */
+function updateWatchers() {
+  updateLongTasks(dispatch, someClient(collectsLongTasks));
+  updateBlankScreen(dispatch, someClient(collectsBlankScreens));
+}
+
+onOptionsChange(updateWatchers);
+
+/**
+ * Replaces window.onerror and window.onunhandledrejection with the
+ * handlers of another runtime; used by the Node.js entry point.
+ * @param {Object} handlers `{ install(onError, onRejection, onRejectionHandled), uninstall() }`.
+ * `onError(error)`, `onRejection(reason, promise)` and
+ * `onRejectionHandled(promise)` report to every client;
+ * `onError` throws if a subscriber throws.
+ * @memberof ErrorWatch.hub
+ */
+export function setGlobalHandlers(handlers) {
+  _globalHandlers = handlers;
+}
+
+/**
+ * Start sending window errors to a client.
+ * @param {Object} client
+ * @memberof ErrorWatch.hub
+ */
+export function register(client) {
+  if (_globalHandlers) {
+    if (!_globalHandlersInstalled) {
+      _globalHandlers.install(errorWatchOnUncaughtError, errorWatchOnUnhandledReason, errorWatchOnRejectionHandled);
+      _globalHandlersInstalled = true;
+    }
+  } else {
+    installGlobalHandler();
+    installGlobalUnhandledRejectionHandler();
+  }
+  installBreadcrumbs();
+  installSessions(dispatch);
+  installHttpError(dispatch, collectsHttpErrors);
+  installConsoleError(dispatch, capturesConsoleLevel);
+  installCspError(dispatch);
+  if (clients.indexOf(client) === -1) {
+    clients.push(client);
+  }
+  updateWatchers();
+}
+
+/**
+ * Stop sending window errors to a client.
+ * @param {Object} client
+ * @memberof ErrorWatch.hub
+ */
+export function unregister(client) {
+  for (let i = clients.length - 1; i >= 0; --i) {
+    if (clients[i] === client) {
+      clients.splice(i, 1);
+    }
+  }
+
+  if (clients.length === 0) {
+    if (_globalHandlersInstalled) {
+      _globalHandlers.uninstall();
+      _globalHandlersInstalled = false;
+    }
+    uninstallGlobalHandler();
+    uninstallGlobalUnhandledRejectionHandler();
+    resetRejections();
+  }
+  updateWatchers();
+}
+
+/**
+ * Send stack information to every registered client. Each client decides
+ * whether it is interested in it.
+ * @param {ErrorWatch.StackTrace} stack
+ * @param {boolean} isWindowError Is this a top-level window error?
+ * @param {(Error|Event)=} error The error that's being handled (if available, null otherwise)
+ * @param {Object=} capture `{ scope, entryPoint }`, see client `notifyHandlers`.
+ * @memberof ErrorWatch.hub
+ * @throws An exception if an error occurs while calling an handler.
+ */
+export function dispatch(stack, isWindowError, error, capture) {
+  const targets = clients.slice();
+  let exception = null;
+  for (let i = 0; i < targets.length; i++) {
+    try {
+      targets[i]._notifyHandlers(stack, isWindowError, error, capture);
+    } catch (inner) {
+      exception = inner;
+    }
+  }
+
+  if (exception) {
+    throw exception;
+  }
+}
+
+/**
+ * Removes every handler of every client and undoes everything ErrorWatch
+ * changed on the page: window.onerror, window.onunhandledrejection, the
+ * resource error listener, the instrumented and wrapped browser APIs and
+ * the listeners and timers of breadcrumbs, sessions and transports.
+ * Pending resource retries are reported as failed and buffered batches are
+ * sent. Options, the stored session and queued
+ * reports are kept; subscribing again installs everything again.
+ * @memberof ErrorWatch
+ */
+export function destroy() {
+  cancelResourceRetries(); // reported while the handlers are still there
+  const targets = clients.slice();
+  for (let i = 0; i < targets.length; i++) {
+    targets[i]._reset();
+    unregister(targets[i]);
+  }
+  runTeardowns();
+}
+
+let _oldOnerrorHandler, _onErrorHandlerInstalled;
+let _oldOnunhandledrejectionHandler, _onUnhandledRejectionHandlerInstalled;
+
+/**
+ * Builds a stack from the arguments of window.onerror when there is no
+ * error object to parse.
+ * @param {string} message Error message.
+ * @param {string} url URL of script that generated the exception.
+ * @param {(number|string)} lineNo The line number at which the error occurred.
+ * @param {(number|string)=} columnNo The column number at which the error occurred.
+ * @return {ErrorWatch.StackTrace}
+ * @memberof ErrorWatch.hub
+ */
+export function computeStackTraceFromOnError(message, url, lineNo, columnNo) {
+  let location = {
+    'url': url,
+    'line': lineNo,
+    'column': columnNo
+  };
+
+  let name;
+  let msg = message; // must be new var or will modify original `arguments`
+  if ({}.toString.call(message) === '[object String]') {
+    const groups = message.match(ERROR_TYPES_RE);
+    if (groups) {
+      name = groups[1];
+      msg = groups[2];
+    }
+  }
+
+  location.func = computeStackTrace.guessFunctionName(location.url, location.line);
+  location.context = computeStackTrace.gatherContext(location.url, location.line);
+  return {
+    'name': name,
+    'message': msg,
+    'mode': 'onerror',
+    'stack': [location]
+  };
+}
+
+/**
+ * Ensures all global unhandled exceptions are recorded.
+ * Supported by Gecko and IE.
+ * A client that is waiting for window.onerror after its own `report(ex)`
+ * completes that report; every other client receives the window error.
+ * @param {string} message Error message.
+ * @param {string} url URL of script that generated the exception.
+ * @param {(number|string)} lineNo The line number at which the error occurred.
+ * @param {(number|string)=} columnNo The column number at which the error occurred.
+ * @param {Error=} errorObj The actual Error object.
+ * @memberof ErrorWatch.hub
+ */
+function errorWatchWindowOnError(message, url, lineNo, columnNo, errorObj) {
+  const targets = clients.slice();
+  let stack = null,
+    exception = null;
+
+  for (let i = 0; i < targets.length; i++) {
+    try {
+      if (targets[i]._processPendingException(url, lineNo, message)) {
+        continue;
+      }
+      if (!stack) {
+        stack = errorObj ? computeStackTrace(errorObj) : computeStackTraceFromOnError(message, url, lineNo, columnNo);
+      }
+      targets[i]._notifyHandlers(stack, true, errorObj || null);
+    } catch (inner) {
+      exception = inner;
+    }
+  }
+
+  if (exception) {
+    throw exception;
+  }
+
+  if (_oldOnerrorHandler) {
+    return _oldOnerrorHandler.apply(this, arguments);
+  }
+
+  return false;
+}
+
+/**
+ * The `error` event listener used in workers, which have no resources to
+ * load and where listeners are preferred over `self.onerror`.
+ * @param {ErrorEvent} e event.
+ * @memberof ErrorWatch.hub
+ */
+function errorWatchWorkerOnError(e) {
+  try {
+    errorWatchWindowOnError(e.message, e.filename, e.lineno, e.colno, e.error);
+  } catch (inner) {
+    // rethrowing from an error listener would dispatch another error event
+  }
+}
+
+/**
+ * Ensures all unhandled rejections are recorded.
+ * @param {PromiseRejectionEvent} e event.
+ * @memberof ErrorWatch.hub
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/WindowEventHandlers/onunhandledrejection
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/PromiseRejectionEvent
+ */
+function errorWatchWindowOnUnhandledRejection(e) {
+  errorWatchOnUnhandledReason(e.reason, e.promise);
+}
+
+/**
+ * Reports the reason of an unhandled rejection, whatever it is, see
+ * ErrorWatch.rejection.
+ * @param {*} reason
+ * @param {Promise=} promise The rejected promise.
+ * @memberof ErrorWatch.hub
+ */
+function errorWatchOnUnhandledReason(reason, promise) {
+  const stack = computeRejectionStack(reason);
+  trackRejection(promise, stack);
+  dispatch(stack, true, reason);
+}
+
+/**
+ * Sends the follow-up report of a rejection handled after it was reported.
+ * @param {Promise} promise
+ * @memberof ErrorWatch.hub
+ */
+function errorWatchOnRejectionHandled(promise) {
+  const stack = computeRejectionHandledStack(promise);
+  if (stack) {
+    dispatch(stack, false, null);
+  }
+}
+
+/**
+ * The `rejectionhandled` event listener.
+ * @param {PromiseRejectionEvent} e event.
+ * @memberof ErrorWatch.hub
+ */
+function errorWatchWindowOnRejectionHandled(e) {
+  errorWatchOnRejectionHandled(e.promise);
+}
+
+/**
+ * Reports an uncaught error of a runtime without window.onerror, completing
+ * the pending report of a client that rethrew it from `report(ex)`.
+ * @param {Error} error
+ * @memberof ErrorWatch.hub
+ */
+function errorWatchOnUncaughtError(error) {
+  errorWatchWindowOnError(error && error.message, undefined, undefined, undefined, error);
+}
+
+/**
+ * Install a global onerror handler, or an `error` listener in a worker
+ * @memberof ErrorWatch.hub
+ */
+function installGlobalHandler() {
+  if (_onErrorHandlerInstalled === true) {
+    return;
+  }
+
+  if (_isWorker()) {
+    _global.addEventListener('error', errorWatchWorkerOnError);
+  } else {
+    _oldOnerrorHandler = _global.onerror;
+    _global.onerror = errorWatchWindowOnError;
+    _global[_WINDOW_MARKER] = true;
+    installResourceLoadError(dispatch);
+  }
+  _onErrorHandlerInstalled = true;
+}
+
+/**
+ * Uninstall the global onerror handler
+ * @memberof ErrorWatch.hub
+ */
+function uninstallGlobalHandler() {
+  if (_onErrorHandlerInstalled) {
+    if (_isWorker()) {
+      _global.removeEventListener('error', errorWatchWorkerOnError);
+    } else {
+      _global.onerror = _oldOnerrorHandler;
+      delete _global[_WINDOW_MARKER];
+      uninstallResourceLoadError();
+    }
+    _onErrorHandlerInstalled = false;
+  }
+}
+
+/**
+ * Install a global onunhandledrejection handler, or an `unhandledrejection`
+ * listener in a worker, and a `rejectionhandled` listener
+ * @memberof ErrorWatch.hub
+ */
+function installGlobalUnhandledRejectionHandler() {
+  if (_onUnhandledRejectionHandlerInstalled === true) {
+    return;
+  }
+
+  if (_isWorker()) {
+    _global.addEventListener('unhandledrejection', errorWatchWindowOnUnhandledRejection);
+  } else {
+    _oldOnunhandledrejectionHandler = _global.onunhandledrejection;
+    _global.onunhandledrejection = errorWatchWindowOnUnhandledRejection;
+  }
+  if (_global.addEventListener) {
+    _global.addEventListener('rejectionhandled', errorWatchWindowOnRejectionHandled);
+  }
+  _onUnhandledRejectionHandlerInstalled = true;
+}
+
+/**
+ * Uninstall the global onunhandledrejection handler
+ * @memberof ErrorWatch.hub
+ */
+function uninstallGlobalUnhandledRejectionHandler() {
+  if (_onUnhandledRejectionHandlerInstalled) {
+    if (_isWorker()) {
+      _global.removeEventListener('unhandledrejection', errorWatchWindowOnUnhandledRejection);
+    } else {
+      _global.onunhandledrejection = _oldOnunhandledrejectionHandler;
+    }
+    if (_global.removeEventListener) {
+      _global.removeEventListener('rejectionhandled', errorWatchWindowOnRejectionHandled);
+    }
+    _onUnhandledRejectionHandlerInstalled = false;
+  }
+}
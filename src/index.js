@@ -1,9 +1,19 @@
-import report from './report';
+import report, { wrap } from './report';
 import computeStackTrace from './computeStackTrace';
-import {wrap} from './wrap';
+import { createClient } from './client';
 import { extendToAsynchronousCallbacks } from './tryCatch';
+import { init, configure } from './config';
+import transport from './transport';
+import { addBreadcrumb } from './breadcrumbs';
+import { setUser, setTag, setTags, setExtra, withScope } from './scope';
+import { getContexts } from './contexts';
+import { getSessionId } from './session';
+import { destroy } from './hub';
+import { forwardToPage, listenToWorker } from './worker';
+import { forwardToParent, listenToFrames } from './frame';
+import { _global } from './utils';
 
-const _oldErrorWatch = window.ErrorWatch;
+const _oldErrorWatch = _global.ErrorWatch;
 let ErrorWatch;
 /**
  * Export ErrorWatch out to another variable<br/>
@@ -12,7 +22,7 @@ let ErrorWatch;
  * @memberof ErrorWatch
  */
 function noConflict() {
-  window.ErrorWatch = _oldErrorWatch;
+  _global.ErrorWatch = _oldErrorWatch;
   return ErrorWatch;
 }
 
@@ -23,7 +33,24 @@ function makeError() {
 
 ErrorWatch =  {
   noConflict,
+  destroy,
+  init,
+  configure,
   report,
+  createClient,
+  transport,
+  addBreadcrumb,
+  setUser,
+  setTag,
+  setTags,
+  setExtra,
+  withScope,
+  getContexts,
+  getSessionId,
+  forwardToPage,
+  listenToWorker,
+  forwardToParent,
+  listenToFrames,
   computeStackTrace,
   wrap,
   extendToAsynchronousCallbacks,
@@ -0,0 +1,292 @@
+/**
+ * Shared instrumentation of browser APIs.
+ *
+ * Each kind of instrumentation is installed once, the first time a handler
+ * is added for it, and sends its data to every handler of that kind:
+ *   - console: `{ level, args }` for console.debug/info/log/warn/error/assert
+ *   - xhr:     `{ method, url, status, reason, body, startTimestamp, endTimestamp, xhr }`
+ *   - fetch:   `{ method, url, status, reason, body, startTimestamp, endTimestamp, response, error }`
+ *   - history: `{ from, to }` for pushState, replaceState and popstate
+ *   - dom:     `{ name, event }` for click and focusin
+ *
+ * `reason` is null for a request that completed (whatever its status), or
+ * 'error', 'abort' or 'timeout'. Handlers of 'xhr.start' and 'fetch.start'
+ * are called from inside `send`/`fetch` with the same data object before
+ * the request completes, and may add to it (e.g. the call-site stack).
+ * Requests to URLs passed to `ignoreUrl` (the transport's endpoints) are
+ * not reported.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+
+import { onTeardown, listen } from './teardown';
+import { _global } from './utils';
+
+let handlers = {};
+let instrumented = {};
+let ignoredUrls = [];
+
+const CONSOLE_LEVELS = ['debug', 'info', 'log', 'warn', 'error', 'assert'];
+
+/**
+ * Replaces `obj[name]` with `factory(original)`. `destroy` puts the original
+ * back, unless something else replaced the wrapper in the meantime.
+ * @param {Object} obj
+ * @param {string} name
+ * @param {Function} factory
+ * @memberof ErrorWatch.instrument
+ */
+export function fill(obj, name, factory) {
+  const original = obj[name];
+  const wrapped = factory(original);
+  wrapped.__errorWatchOriginal__ = original;
+  obj[name] = wrapped;
+  onTeardown(function () {
+    if (obj[name] === wrapped) {
+      obj[name] = original;
+    }
+  });
+}
+
+/**
+ * Stop reporting requests to a URL (and to URLs starting with it).
+ * @param {string} url
+ * @memberof ErrorWatch.instrument
+ */
+export function ignoreUrl(url) {
+  if (ignoredUrls.indexOf(url) === -1) {
+    ignoredUrls.push(url);
+  }
+}
+
+function isIgnoredUrl(url) {
+  for (let i = 0; i < ignoredUrls.length; i++) {
+    if (String(url).indexOf(ignoredUrls[i]) === 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function now() {
+  return new Date().getTime();
+}
+
+/**
+ * Calls every handler of a kind; a handler that throws doesn't stop the
+ * others or the instrumented call.
+ * @param {string} type
+ * @param {Object} data
+ * @memberof ErrorWatch.instrument
+ */
+function triggerHandlers(type, data) {
+  const list = (handlers[type] || []).slice();
+  for (let i = 0; i < list.length; i++) {
+    try {
+      list[i](data);
+    } catch (e) {
+      // ignore
+    }
+  }
+}
+
+function instrumentConsole() {
+  const console = _global.console;
+  if (!console) {
+    return;
+  }
+  CONSOLE_LEVELS.forEach(function (level) {
+    if (typeof console[level] !== 'function') {
+      return;
+    }
+    fill(console, level, function (original) {
+      return function () {
+        const args = [].slice.call(arguments);
+        triggerHandlers('console', { level: level, args: args });
+        return Function.prototype.apply.call(original, console, args);
+      };
+    });
+  });
+}
+
+function instrumentXHR() {
+  const XHR = _global.XMLHttpRequest;
+  if (!XHR || !XHR.prototype) {
+    return;
+  }
+  const proto = XHR.prototype;
+
+  fill(proto, 'open', function (original) {
+    return function (method, url) {
+      this.__errorWatch__ = {
+        method: String(method).toUpperCase(),
+        url: String(url),
+      };
+      return original.apply(this, arguments);
+    };
+  });
+
+  fill(proto, 'send', function (original) {
+    return function (body) {
+      const xhr = this,
+        info = xhr.__errorWatch__;
+      if (info && !isIgnoredUrl(info.url) && xhr.addEventListener) {
+        const data = {
+          method: info.method,
+          url: info.url,
+          body: body,
+          startTimestamp: now(),
+          xhr: xhr,
+        };
+        let reason = null;
+        ['error', 'abort', 'timeout'].forEach(function (type) {
+          xhr.addEventListener(type, function () {
+            reason = type;
+          });
+        });
+        xhr.addEventListener('loadend', function () {
+          data.status = xhr.status;
+          data.reason = reason;
+          data.endTimestamp = now();
+          triggerHandlers('xhr', data);
+        });
+        triggerHandlers('xhr.start', data);
+      }
+      return original.apply(this, arguments);
+    };
+  });
+}
+
+function instrumentFetch() {
+  if (typeof _global.fetch !== 'function') {
+    return;
+  }
+  fill(_global, 'fetch', function (original) {
+    return function (input, init) {
+      const request = typeof input === 'string' ? null : input,
+        url = request ? (request.url || String(input)) : input,
+        method = String((init && init.method) || (request && request.method) || 'GET').toUpperCase(),
+        data = {
+          method: method,
+          url: String(url),
+          body: init && init.body,
+          startTimestamp: now(),
+        },
+        ignored = isIgnoredUrl(data.url);
+
+      if (!ignored) {
+        triggerHandlers('fetch.start', data);
+      }
+      const promise = original.apply(_global, arguments);
+      if (ignored) {
+        return promise;
+      }
+      return promise.then(function (response) {
+        data.status = response.status;
+        data.reason = null;
+        data.response = response;
+        data.endTimestamp = now();
+        triggerHandlers('fetch', data);
+        return response;
+      }, function (error) {
+        data.status = 0;
+        data.reason = error && error.name === 'AbortError' ? 'abort' : 'error';
+        data.error = error;
+        data.endTimestamp = now();
+        triggerHandlers('fetch', data);
+        throw error;
+      });
+    };
+  });
+}
+
+function instrumentHistory() {
+  const history = _global.history;
+  if (!history || !history.pushState) {
+    return;
+  }
+  let lastHref = _global.location.href;
+
+  function navigate(to) {
+    const from = lastHref;
+    lastHref = to;
+    triggerHandlers('history', { from: from, to: to });
+  }
+
+  ['pushState', 'replaceState'].forEach(function (name) {
+    fill(history, name, function (original) {
+      return function (state, title, url) {
+        const result = original.apply(this, arguments);
+        if (url != null) {
+          navigate(_global.location.href);
+        }
+        return result;
+      };
+    });
+  });
+  listen(_global, 'popstate', function () {
+    navigate(_global.location.href);
+  });
+}
+
+function instrumentDOM() {
+  const document = _global.document;
+  if (!document || !document.addEventListener) {
+    return;
+  }
+  ['click', 'focusin'].forEach(function (name) {
+    listen(document, name, function (event) {
+      triggerHandlers('dom', { name: name, event: event });
+    }, true);
+  });
+}
+
+const instrumenters = {
+  console: instrumentConsole,
+  xhr: instrumentXHR,
+  fetch: instrumentFetch,
+  history: instrumentHistory,
+  dom: instrumentDOM,
+};
+
+/**
+ * Adds a handler for a kind of instrumentation, installing it if needed.
+ * @param {string} type 'console', 'xhr', 'xhr.start', 'fetch', 'fetch.start',
+ * 'history' or 'dom'.
+ * @param {Function} callback Receives the data described above.
+ * @memberof ErrorWatch.instrument
+ */
+export function addInstrumentationHandler(type, callback) {
+  const kind = type.split('.')[0];
+  (handlers[type] = handlers[type] || []).push(callback);
+  onTeardown(function () {
+    removeInstrumentationHandler(type, callback);
+  });
+  if (!instrumented[kind]) {
+    instrumented[kind] = true;
+    onTeardown(function () {
+      instrumented[kind] = false;
+    });
+    try {
+      instrumenters[kind]();
+    } catch (e) {
+      // the API is not there or can't be patched
+    }
+  }
+}
+
+/**
+ * Removes a handler added with addInstrumentationHandler.
+ * @param {string} type
+ * @param {Function} callback
+ * @memberof ErrorWatch.instrument
+ */
+export function removeInstrumentationHandler(type, callback) {
+  const list = handlers[type] || [];
+  for (let i = list.length - 1; i >= 0; --i) {
+    if (list[i] === callback) {
+      list.splice(i, 1);
+    }
+  }
+}
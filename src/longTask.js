@@ -0,0 +1,163 @@
+/**
+ * Long tasks and main thread freezes, reported with `mode: 'longtask'` and
+ * `mode: 'freeze'`.
+ *
+ * Syntax:
+ * ```js
+ *   ErrorWatch.configure({ collectLongTasks: true, longTaskThreshold: 200, freezeThreshold: 1000 })
+ * ```
+ *
+ * Where the browser supports `PerformanceObserver` with 'longtask' entries,
+ * every long task is reported as:
+ * ```js
+ * {
+ *   mode: 'longtask',
+ *   name: 'LongTask',
+ *   message: 'Long task of 312ms',
+ *   stack: null,
+ *   task: {
+ *     duration: 312,
+ *     startTime: 10452, // ms since navigation start
+ *     url: 'https://example.com/cart',
+ *     attribution: [{ name, containerType, containerSrc, containerId, containerName }]
+ *   }
+ * }
+ * ```
+ * Elsewhere a heartbeat timer notices when the main thread was blocked for
+ * `freezeThreshold` ms or more and reports `mode: 'freeze'` with the same
+ * `task`, without attribution. Time spent in a hidden tab, where timers
+ * are throttled, is not a freeze. The breadcrumbs attached to the report
+ * show what led up to it.
+ *
+ * The observer or the heartbeat only runs while at least one registered
+ * client has `collectLongTasks`.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import { config } from './config';
+import { listen } from './teardown';
+import { _global } from './utils';
+
+const HEARTBEAT_INTERVAL = 500;
+
+// Stops the observer or the heartbeat, null while not watching.
+let stopWatching = null;
+
+function now() {
+  return new Date().getTime();
+}
+
+function pageUrl() {
+  return _global.location ? _global.location.href : null;
+}
+
+function describeAttribution(entry) {
+  const attribution = entry.attribution || [];
+  let result = [];
+  for (let i = 0; i < attribution.length; i++) {
+    result.push({
+      name: attribution[i].name || null,
+      containerType: attribution[i].containerType || null,
+      containerSrc: attribution[i].containerSrc || null,
+      containerId: attribution[i].containerId || null,
+      containerName: attribution[i].containerName || null,
+    });
+  }
+  return result;
+}
+
+function supportsLongTasks() {
+  const Observer = _global.PerformanceObserver;
+  return typeof Observer === 'function' &&
+    !!Observer.supportedEntryTypes && Observer.supportedEntryTypes.indexOf('longtask') !== -1;
+}
+
+function observeLongTasks(dispatch) {
+  const observer = new _global.PerformanceObserver(function (list) {
+    const entries = list.getEntries();
+    for (let i = 0; i < entries.length; i++) {
+      const duration = Math.round(entries[i].duration);
+      dispatch({
+        name: 'LongTask',
+        message: `Long task of ${duration}ms`,
+        mode: 'longtask',
+        stack: null,
+        task: {
+          duration: duration,
+          startTime: Math.round(entries[i].startTime),
+          url: pageUrl(),
+          attribution: describeAttribution(entries[i]),
+        },
+      }, false, null);
+    }
+  });
+  observer.observe({ type: 'longtask', buffered: true });
+  return function () {
+    observer.disconnect();
+  };
+}
+
+function startHeartbeat(dispatch) {
+  let last = now(),
+    wasHidden = false;
+  const unlisten = listen(document, 'visibilitychange', function () {
+    wasHidden = true;
+  });
+  const timer = setInterval(function () {
+    const time = now(),
+      blocked = time - last - HEARTBEAT_INTERVAL,
+      hidden = wasHidden || document.hidden;
+    last = time;
+    wasHidden = false;
+    if (hidden || !config.freezeThreshold || blocked < config.freezeThreshold) {
+      return;
+    }
+    dispatch({
+      name: 'Freeze',
+      message: `Main thread blocked for ${blocked}ms`,
+      mode: 'freeze',
+      stack: null,
+      task: {
+        duration: blocked,
+        startTime: _global.performance && _global.performance.now ? Math.round(_global.performance.now() - blocked) : null,
+        url: pageUrl(),
+      },
+    }, false, null);
+  }, HEARTBEAT_INTERVAL);
+  return function () {
+    clearInterval(timer);
+    unlisten();
+  };
+}
+
+function startWatching(dispatch) {
+  if (supportsLongTasks()) {
+    try {
+      return observeLongTasks(dispatch);
+    } catch (e) {
+      // fall back to the heartbeat
+    }
+  }
+  return startHeartbeat(dispatch);
+}
+
+/**
+ * Watches for long tasks, or for freezes where long tasks can't be
+ * observed, while some registered client collects them; called by the hub
+ * when clients register or unregister and when options change.
+ * @param {Function} dispatch Sends the reports to the clients.
+ * @param {boolean} wanted Whether a registered client has `collectLongTasks`.
+ * @memberof ErrorWatch.longTask
+ */
+export function updateLongTasks(dispatch, wanted) {
+  if (typeof document === 'undefined') {
+    return;
+  }
+  if (wanted && !stopWatching) {
+    stopWatching = startWatching(dispatch);
+  } else if (!wanted && stopWatching) {
+    stopWatching();
+    stopWatching = null;
+  }
+}
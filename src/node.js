@@ -0,0 +1,89 @@
+/**
+ * Node.js entry point, for server-side rendering and tooling.
+ *
+ * Syntax:
+ * ```js
+ *   const ErrorWatch = require('error-watch/dist/errorWatch.node');
+ *   ErrorWatch.report.subscribe(function(stackInfo, isWindowError, error) { ... })
+ * ```
+ *
+ * Same API as in the browser. Instead of `window.onerror` and
+ * `window.onunhandledrejection`, the `uncaughtException` and
+ * `unhandledRejection` events of `process` are reported, with
+ * `isWindowError` true, and `rejectionHandled` sends the follow-up report
+ * of a rejection handled later.
+ *
+ * A listener on these events keeps Node from exiting, so when ErrorWatch is
+ * the only listener it does what Node would have done: it prints the error
+ * and exits with code 1, after waiting up to 2 seconds for pending work such
+ * as reports being sent. Other listeners decide for themselves.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import ErrorWatch from './index';
+import { setGlobalHandlers } from './hub';
+
+const EXIT_DELAY = 2000;
+
+let _onUncaughtException = null, _onUnhandledRejection = null, _onRejectionHandled = null;
+
+/**
+ * Prints the error and exits like Node does, unless other listeners of the
+ * event handle it.
+ * @param {string} event
+ * @param {*} error
+ * @memberof ErrorWatch.node
+ */
+function exitIfAlone(event, error) {
+  if (process.listenerCount(event) > 1) {
+    return;
+  }
+  process.stderr.write(`${(error && error.stack) || String(error)}\n`);
+  process.exitCode = 1;
+  const timer = setTimeout(function () {
+    process.exit(1);
+  }, EXIT_DELAY);
+  if (timer.unref) {
+    timer.unref(); // exit as soon as nothing is pending
+  }
+}
+
+setGlobalHandlers({
+  install(onError, onRejection, onRejectionHandled) {
+    _onUncaughtException = function (error) {
+      try {
+        onError(error);
+      } catch (e) {
+        // a subscriber threw; don't turn it into another uncaught exception
+      }
+      exitIfAlone('uncaughtException', error);
+    };
+    _onUnhandledRejection = function (reason, promise) {
+      try {
+        onRejection(reason, promise);
+      } catch (e) {
+        // same as above
+      }
+      exitIfAlone('unhandledRejection', reason);
+    };
+    _onRejectionHandled = function (promise) {
+      try {
+        onRejectionHandled(promise);
+      } catch (e) {
+        // same as above
+      }
+    };
+    process.on('uncaughtException', _onUncaughtException);
+    process.on('unhandledRejection', _onUnhandledRejection);
+    process.on('rejectionHandled', _onRejectionHandled);
+  },
+  uninstall() {
+    process.removeListener('uncaughtException', _onUncaughtException);
+    process.removeListener('unhandledRejection', _onUnhandledRejection);
+    process.removeListener('rejectionHandled', _onRejectionHandled);
+    _onUncaughtException = _onUnhandledRejection = _onRejectionHandled = null;
+  },
+});
+
+export default ErrorWatch;
@@ -0,0 +1,319 @@
+/**
+ * Persistent queue for reports the transport could not deliver.
+ *
+ * Syntax:
+ * ```js
+ *   ErrorWatch.report.subscribe(ErrorWatch.transport({ url: '...', queue: true }))
+ *   ErrorWatch.report.subscribe(ErrorWatch.transport({ url: '...', queue: { maxSize: 50 } }))
+ * ```
+ *
+ * Reports are saved to IndexedDB, or to localStorage where IndexedDB is not
+ * available, or only kept in memory if neither works (e.g. some private
+ * modes). The queue is flushed when the page loads, when the `online` event
+ * fires and after any successful delivery. A flush that fails is retried
+ * with exponential backoff. The oldest reports are dropped beyond `maxSize`,
+ * and reports older than `maxAge` are dropped without being sent.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import { _extend, _global } from './utils';
+import { listen, onTeardown } from './teardown';
+
+const DB_NAME = 'errorWatch';
+const STORE_NAME = 'queue';
+const STORAGE_KEY = 'errorWatch.queue';
+
+export const queueDefaults = {
+  maxSize: 100,               // 最多保存的条数，超出丢弃最早的
+  maxAge: 24 * 60 * 60 * 1000, // ms，超过则丢弃
+  retryDelay: 5000,           // ms before retrying a failed flush, doubled on every failure
+  maxRetryDelay: 30 * 60 * 1000,
+};
+
+function getId(item) {
+  return item.id;
+}
+
+/**
+ * Stores have the same callback API: `getAll(cb)`, `put(item, cb)` and
+ * `remove(ids, cb)`, where `cb(error, result)`.
+ * @param {IDBDatabase} db
+ * @return {Object} The store.
+ * @memberof ErrorWatch.queue
+ */
+function createIndexedDBStore(db) {
+  function transaction(mode, callback, run) {
+    try {
+      const tx = db.transaction(STORE_NAME, mode);
+      const result = run(tx.objectStore(STORE_NAME));
+      tx.oncomplete = function () {
+        callback(null, result);
+      };
+      tx.onerror = tx.onabort = function () {
+        callback(tx.error || new Error('IndexedDB transaction failed'));
+      };
+    } catch (e) {
+      callback(e);
+    }
+  }
+
+  return {
+    getAll(callback) {
+      transaction('readonly', callback, function (store) {
+        let items = [];
+        store.openCursor().onsuccess = function (e) {
+          const cursor = e.target.result;
+          if (cursor) {
+            items.push(cursor.value);
+            cursor['continue']();
+          }
+        };
+        return items;
+      });
+    },
+    put(item, callback) {
+      transaction('readwrite', callback, function (store) {
+        store.put(item);
+      });
+    },
+    remove(ids, callback) {
+      transaction('readwrite', callback, function (store) {
+        for (let i = 0; i < ids.length; i++) {
+          store['delete'](ids[i]);
+        }
+      });
+    },
+  };
+}
+
+/**
+ * A store in localStorage, or in memory if `storage` is null.
+ * @param {?Storage} storage
+ * @return {Object} The store.
+ * @memberof ErrorWatch.queue
+ */
+function createListStore(storage) {
+  let memory = [];
+
+  function read() {
+    if (!storage) {
+      return memory.slice();
+    }
+    try {
+      return JSON.parse(storage.getItem(STORAGE_KEY)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function write(items, callback) {
+    if (!storage) {
+      memory = items;
+      return callback(null);
+    }
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(items));
+      callback(null);
+    } catch (e) {
+      callback(e); // quota exceeded
+    }
+  }
+
+  return {
+    getAll(callback) {
+      callback(null, read());
+    },
+    put(item, callback) {
+      write(read().concat([item]), callback);
+    },
+    remove(ids, callback) {
+      write(read().filter(function (item) {
+        return ids.indexOf(item.id) === -1;
+      }), callback);
+    },
+  };
+}
+
+/**
+ * Opens the best store available.
+ * @param {Function} callback Called with the store.
+ * @memberof ErrorWatch.queue
+ */
+function openStore(callback) {
+  function fallback() {
+    let storage = null;
+    try {
+      storage = _global.localStorage;
+      storage.setItem(STORAGE_KEY + '.test', '1');
+      storage.removeItem(STORAGE_KEY + '.test');
+    } catch (e) {
+      storage = null;
+    }
+    callback(createListStore(storage));
+  }
+
+  if (!_global.indexedDB) {
+    return fallback();
+  }
+  try {
+    const request = _global.indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = function () {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+    request.onsuccess = function () {
+      callback(createIndexedDBStore(request.result));
+    };
+    request.onerror = function () {
+      fallback();
+    };
+  } catch (e) {
+    fallback();
+  }
+}
+
+/**
+ * Creates a queue and flushes what previous pages left in it.
+ * @param {Function} send `send(body, options, callback)` from ErrorWatch.transport.
+ * @param {Object=} options Queue options.
+ * @return {{enqueue: Function, flush: Function}}
+ * @memberof ErrorWatch.queue
+ */
+export function createQueue(send, options) {
+  options = _extend(_extend({}, queueDefaults), options);
+  let store = null,
+    pending = [], // calls made before the store is open
+    flushing = false,
+    failures = 0,
+    retryTimer = null;
+
+  function withStore(fn) {
+    if (store) {
+      fn(store);
+    } else {
+      pending.push(fn);
+    }
+  }
+
+  function isOffline() {
+    return _global.navigator && _global.navigator.onLine === false;
+  }
+
+  function scheduleRetry() {
+    const delay = Math.min(options.retryDelay * Math.pow(2, failures), options.maxRetryDelay);
+    failures++;
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(flush, delay);
+  }
+
+  /**
+   * Drops expired reports, then the oldest ones beyond maxSize.
+   * @param {Array} items
+   * @return {{keep: Array, drop: Array}}
+   */
+  function applyLimits(items) {
+    const now = new Date().getTime();
+    let keep = [],
+      drop = [];
+    items.sort(function (a, b) {
+      return a.createdAt - b.createdAt;
+    });
+    for (let i = 0; i < items.length; i++) {
+      (now - items[i].createdAt > options.maxAge ? drop : keep).push(items[i]);
+    }
+    while (keep.length > options.maxSize) {
+      drop.push(keep.shift());
+    }
+    return { keep: keep, drop: drop };
+  }
+
+  /**
+   * Saves a report to be sent later.
+   * @param {{url: string, methods: Array.<string>, body: string}} item
+   */
+  function enqueue(item) {
+    const now = new Date().getTime();
+    item = _extend({ id: now + '-' + Math.random().toString(36).slice(2), createdAt: now }, item);
+    withStore(function (store) {
+      store.put(item, function () {
+        store.getAll(function (err, items) {
+          const drop = err ? [] : applyLimits(items).drop;
+          if (drop.length) {
+            store.remove(drop.map(getId), function () {});
+          }
+        });
+      });
+    });
+    if (!retryTimer) {
+      scheduleRetry();
+    }
+  }
+
+  /**
+   * Sends the queued reports one by one, oldest first. Stops at the first
+   * transient failure and retries later with backoff; reports the server
+   * rejects (e.g. 400) are dropped.
+   */
+  function flush() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    if (flushing || isOffline()) {
+      return;
+    }
+    flushing = true;
+    withStore(function (store) {
+      store.getAll(function (err, items) {
+        if (err) {
+          flushing = false;
+          return;
+        }
+        const limited = applyLimits(items);
+        if (limited.drop.length) {
+          store.remove(limited.drop.map(getId), function () {});
+        }
+
+        (function next(i) {
+          if (i >= limited.keep.length) {
+            flushing = false;
+            failures = 0;
+            return;
+          }
+          const item = limited.keep[i];
+          send(item.body, { url: item.url, methods: item.methods, maxRetries: 0 }, function (result) {
+            if (result.ok || !result.retryable) {
+              store.remove([item.id], function () {
+                next(i + 1);
+              });
+            } else {
+              flushing = false;
+              scheduleRetry();
+            }
+          });
+        })(0);
+      });
+    });
+  }
+
+  openStore(function (opened) {
+    store = opened;
+    const calls = pending;
+    pending = [];
+    for (let i = 0; i < calls.length; i++) {
+      calls[i](store);
+    }
+    flush();
+  });
+
+  listen(_global, 'online', function () {
+    failures = 0;
+    flush();
+  });
+  onTeardown(function () {
+    clearTimeout(retryTimer);
+  });
+
+  return {
+    enqueue: enqueue,
+    flush: flush,
+  };
+}
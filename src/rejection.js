@@ -0,0 +1,221 @@
+/**
+ * Unhandled promise rejections.
+ *
+ * A promise can be rejected with anything, not only with an Error. Reasons
+ * that are not errors (strings, plain objects, `undefined`, DOM events...)
+ * get a message describing them and a synthetic stack of one frame, the
+ * page or the event target, with `mode: 'synthetic'`:
+ * ```js
+ * {
+ *   name: 'UnhandledRejection',
+ *   message: 'Promise rejected with object: {"code":401}',
+ *   mode: 'synthetic',
+ *   mechanism: 'unhandledrejection',
+ *   rejectionId: '1600000000000-k2j4h5',
+ *   stack: [{ url: 'https://example.com/app', func: '?', args: [], line: null, column: null, context: null }]
+ * }
+ * ```
+ *
+ * Every rejection report has `mechanism: 'unhandledrejection'` and a
+ * `rejectionId`. When such a promise gets a handler later, browsers fire
+ * `rejectionhandled` (Node.js `rejectionHandled`) and a follow-up report is
+ * sent, so that the rejection can be retracted:
+ * ```js
+ * {
+ *   name: 'RejectionHandled',
+ *   message: 'Rejection handled later: Promise rejected with object: {"code":401}',
+ *   mode: 'rejectionhandled',
+ *   mechanism: 'rejectionhandled',
+ *   rejectionId: '1600000000000-k2j4h5',
+ *   stack: null
+ * }
+ * ```
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import computeStackTrace from './computeStackTrace';
+import { onTeardown } from './teardown';
+import { _cssSelector, _global } from './utils';
+
+const MAX_MESSAGE_LENGTH = 1000;
+// Without WeakMap, the rejections are kept in a list and the oldest are
+// forgotten.
+const MAX_PENDING = 100;
+
+// Rejections that may still be handled, by promise.
+let pending = null;
+
+/**
+ * Returns the reported rejections, held weakly where WeakMap is available
+ * so that collected promises don't stay in memory.
+ * @return {(WeakMap|Array)}
+ * @memberof ErrorWatch.rejection
+ */
+function pendingRejections() {
+  if (!pending) {
+    pending = typeof _global.WeakMap === 'function' ? new _global.WeakMap() : [];
+    onTeardown(resetRejections);
+  }
+  return pending;
+}
+
+/**
+ * Whether a rejection reason is an error, even from another frame.
+ * @param {*} reason
+ * @return {boolean}
+ * @memberof ErrorWatch.rejection
+ */
+function isError(reason) {
+  if (!reason || typeof reason !== 'object') {
+    return false;
+  }
+  const tag = {}.toString.call(reason);
+  return tag === '[object Error]' || tag === '[object DOMException]' ||
+    (typeof reason.message === 'string' && typeof reason.stack === 'string');
+}
+
+/**
+ * Returns the interface name of a DOM event, e.g. 'ErrorEvent'.
+ * @param {*} reason
+ * @return {?string} null if reason is not an event.
+ * @memberof ErrorWatch.rejection
+ */
+function eventName(reason) {
+  const match = /^\[object (\w*Event)\]$/.exec({}.toString.call(reason));
+  return match ? match[1] : null;
+}
+
+/**
+ * Describes a reason that is not an error.
+ * @param {*} reason
+ * @return {string}
+ * @memberof ErrorWatch.rejection
+ */
+function describe(reason) {
+  if (reason === undefined || reason === null) {
+    return `Promise rejected with ${reason}`;
+  }
+  const name = eventName(reason);
+  if (name) {
+    const target = _cssSelector(reason.target);
+    return `Promise rejected with ${name}: ${reason.type}${target ? ' on ' + target : ''}`;
+  }
+  const type = Array.isArray(reason) ? 'array' : typeof reason;
+  let value;
+  if (type === 'object' || type === 'array') {
+    try {
+      value = JSON.stringify(reason);
+    } catch (e) {
+      value = `{${Object.keys(reason).join(', ')}}`; // circular
+    }
+  } else {
+    value = String(reason);
+  }
+  if (value.length > MAX_MESSAGE_LENGTH) {
+    value = value.slice(0, MAX_MESSAGE_LENGTH) + '…';
+  }
+  return `Promise rejected with ${type}: ${value}`;
+}
+
+function generateId() {
+  return new Date().getTime() + '-' + Math.random().toString(36).slice(2);
+}
+
+/**
+ * Computes the report of an unhandled rejection.
+ * @param {*} reason
+ * @return {ErrorWatch.StackTrace}
+ * @memberof ErrorWatch.rejection
+ */
+export function computeRejectionStack(reason) {
+  let stack;
+  if (isError(reason)) {
+    stack = computeStackTrace(reason);
+  } else {
+    const target = eventName(reason) ? reason.target : null;
+    stack = {
+      name: 'UnhandledRejection',
+      message: describe(reason),
+      mode: 'synthetic',
+      stack: [{
+        url: (target && (target.src || target.href)) || (_global.location ? _global.location.href : null),
+        func: '?',
+        args: [],
+        line: null,
+        column: null,
+        context: null,
+      }],
+    };
+  }
+  stack.mechanism = 'unhandledrejection';
+  stack.rejectionId = generateId();
+  return stack;
+}
+
+/**
+ * Remembers a reported rejection until its promise is handled.
+ * @param {Promise} promise
+ * @param {ErrorWatch.StackTrace} stack The report of the rejection.
+ * @memberof ErrorWatch.rejection
+ */
+export function trackRejection(promise, stack) {
+  if (!promise) {
+    return;
+  }
+  const rejections = pendingRejections(),
+    rejection = { id: stack.rejectionId, message: stack.message };
+  if (!Array.isArray(rejections)) {
+    rejections.set(promise, rejection);
+    return;
+  }
+  rejections.push({ promise: promise, rejection: rejection });
+  if (rejections.length > MAX_PENDING) {
+    rejections.shift();
+  }
+}
+
+/**
+ * Computes the follow-up report of a rejection handled after it was
+ * reported.
+ * @param {Promise} promise
+ * @return {?ErrorWatch.StackTrace} null if the rejection wasn't reported.
+ * @memberof ErrorWatch.rejection
+ */
+export function computeRejectionHandledStack(promise) {
+  if (!pending || !promise) {
+    return null;
+  }
+  let rejection = null;
+  if (!Array.isArray(pending)) {
+    rejection = pending.get(promise) || null;
+    pending.delete(promise);
+  } else {
+    for (let i = 0; i < pending.length; i++) {
+      if (pending[i].promise === promise) {
+        rejection = pending.splice(i, 1)[0].rejection;
+        break;
+      }
+    }
+  }
+  if (!rejection) {
+    return null;
+  }
+  return {
+    name: 'RejectionHandled',
+    message: `Rejection handled later: ${rejection.message}`,
+    mode: 'rejectionhandled',
+    mechanism: 'rejectionhandled',
+    rejectionId: rejection.id,
+    stack: null,
+  };
+}
+
+/**
+ * Forgets the reported rejections; called when the rejection handlers are
+ * uninstalled and by `destroy`.
+ * @memberof ErrorWatch.rejection
+ */
+export function resetRejections() {
+  pending = null;
+}
@@ -0,0 +1,34 @@
+/**
+ * Release tagging: which deployment produced an error.
+ *
+ * Syntax:
+ * ```js
+ *   ErrorWatch.configure({ release: 'my-app@1.4.2', dist: '42', environment: 'production' })
+ * ```
+ *
+ * Every StackTrace delivered to subscribers gets `release`, `dist` and
+ * `environment` (null when unknown). Options that are not set fall back to
+ * the values injected at build time by `build/rollup-plugin-release.js` in
+ * the global `__ERROR_WATCH_RELEASE__`.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import { _global } from './utils';
+
+const RELEASE_GLOBAL = '__ERROR_WATCH_RELEASE__';
+const RELEASE_KEYS = ['release', 'dist', 'environment'];
+
+/**
+ * Copies the release options, or the injected values, onto a StackTrace.
+ * @param {ErrorWatch.StackTrace} stack
+ * @param {Object} options The client options.
+ * @memberof ErrorWatch.release
+ */
+export function applyRelease(stack, options) {
+  const injected = _global[RELEASE_GLOBAL] || {};
+  for (let i = 0; i < RELEASE_KEYS.length; i++) {
+    const key = RELEASE_KEYS[i];
+    stack[key] = options[key] != null ? options[key] : (injected[key] != null ? injected[key] : null);
+  }
+}
@@ -1,41 +1,268 @@
-import { collectSourceErrors } from './config';
+import { config } from './config';
+import { _cssSelector, _global } from './utils';
 
-let isRegisterListener = false;
-let _handler = null;
+// 可能加载失败的资源元素
+const RESOURCE_ELEMENTS = 'img,script,link,video,audio,source,track,iframe,embed,object,input[type="image"]';
+// 重试插入的元素带有该属性，值为第几次重试
+const RETRY_ATTRIBUTE = 'data-error-watch-retry';
+// `resourceRetry: true` 时的配置
+const RETRY_DEFAULTS = { maxRetries: 2, retryDelay: 1000, fallbackOrigins: [] };
+const ORIGIN_RE = /^[a-z][a-z0-9+.-]*:\/\/[^/?#]+/i;
+
+let _listener = null;
+let _parsed = null, _onParsed = null;
+let _retryTimers = [];
+
+/**
+ * 记录文档解析完成时已有的资源元素，之后加入的视为动态插入
+ * 在文档解析完成后才第一次安装时，记录安装时已有的元素
+ */
+function snapshotParsedElements() {
+  const document = _global.document;
+  if (_parsed || !document || typeof _global.WeakSet !== 'function') {
+    return;
+  }
+  _parsed = new _global.WeakSet();
+  _onParsed = function () {
+    const elements = document.querySelectorAll(RESOURCE_ELEMENTS);
+    for (let i = 0; i < elements.length; i++) {
+      _parsed.add(elements[i]);
+    }
+    document.removeEventListener('DOMContentLoaded', _onParsed);
+    _onParsed = null;
+  };
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', _onParsed);
+  } else {
+    _onParsed();
+  }
+}
+
+/**
+ * 元素是否为文档解析完成后动态插入的
+ * @param {Element} elem
+ * @return {?boolean} 无法判断时为 null
+ */
+function isDynamic(elem) {
+  const document = _global.document;
+  if (!_parsed || !document) {
+    return null;
+  }
+  if (document.readyState === 'loading' && _onParsed) {
+    return false; // 解析过程中出错，视为页面中原有的
+  }
+  return !_parsed.has(elem);
+}
+
+/**
+ * 资源对应的 PerformanceResourceTiming，没有时为 null
+ * 被广告插件拦截、网络不通时通常没有，404 等有响应的错误通常有
+ * @param {?string} url
+ * @return {?Object}
+ */
+function getTiming(url) {
+  const performance = _global.performance;
+  if (!url || !performance || typeof performance.getEntriesByName !== 'function') {
+    return null;
+  }
+  const entries = performance.getEntriesByName(url, 'resource');
+  const entry = entries[entries.length - 1];
+  if (!entry) {
+    return null;
+  }
+  return {
+    startTime: entry.startTime,
+    duration: entry.duration,
+    transferSize: entry.transferSize,
+    encodedBodySize: entry.encodedBodySize,
+    protocol: entry.nextHopProtocol || null,
+    responseStatus: entry.responseStatus !== undefined ? entry.responseStatus : null,
+  };
+}
+
+/**
+ * 资源元素的详细信息
+ * @param {Element} elem
+ * @param {?string} url
+ * @return {Object}
+ */
+function describeResource(elem, url) {
+  const attribute = function (name) {
+    return elem.getAttribute ? elem.getAttribute(name) : null;
+  };
+  return {
+    tagName: elem.localName,
+    selector: _cssSelector(elem),
+    url: url || null,
+    attributes: {
+      crossorigin: attribute('crossorigin'),
+      integrity: attribute('integrity'),
+      async: attribute('async') !== null,
+      defer: attribute('defer') !== null,
+    },
+    dynamic: isDynamic(elem),
+    timing: getTiming(url),
+  };
+}
+
+/**
+ * 当前的重试配置，未开启时为 null
+ * @return {?Object}
+ */
+function getRetryOptions() {
+  const retry = config.resourceRetry;
+  if (!retry) {
+    return null;
+  }
+  const options = {};
+  for (let key in RETRY_DEFAULTS) {
+    options[key] = retry[key] !== undefined ? retry[key] : RETRY_DEFAULTS[key];
+  }
+  return options.maxRetries > 0 ? options : null;
+}
+
+/**
+ * 是否为可以重试的脚本或样式表
+ * @param {Element} elem
+ * @param {?string} url
+ * @return {boolean}
+ */
+function isRecoverable(elem, url) {
+  if (!url || !ORIGIN_RE.test(url) || !elem.parentNode) {
+    return false;
+  }
+  return elem.localName === 'script' ||
+    (elem.localName === 'link' && /(^|\s)stylesheet(\s|$)/i.test(elem.getAttribute('rel') || ''));
+}
+
+/**
+ * 重新插入加载失败的脚本或样式表，按指数退避重试，依次轮流使用原地址和各备用 CDN
+ * 结束后上报一次，`resource.recovery` 中注明是否恢复成功
+ * @param {Element} elem 加载失败的元素
+ * @param {string} url
+ * @param {Object} options 重试配置
+ * @param {Function} report `function(recovery)`
+ */
+function recover(elem, url, options, report) {
+  const urls = [url];
+  for (let i = 0; i < options.fallbackOrigins.length; i++) {
+    urls.push(url.replace(ORIGIN_RE, options.fallbackOrigins[i]));
+  }
+  let current = elem, attempt = 0;
+
+  function retry() {
+    attempt++;
+    const attemptUrl = urls[attempt % urls.length],
+      replacement = _global.document.createElement(elem.localName);
+    for (let i = 0; i < elem.attributes.length; i++) {
+      replacement.setAttribute(elem.attributes[i].name, elem.attributes[i].value);
+    }
+    replacement.setAttribute(RETRY_ATTRIBUTE, String(attempt));
+    replacement[elem.localName === 'script' ? 'src' : 'href'] = attemptUrl;
+    if (elem.localName === 'script' && elem.getAttribute('async') === null) {
+      replacement.async = false; // 与其他重试的脚本保持顺序
+    }
+    replacement.addEventListener('load', function () {
+      report({ recovered: true, attempts: attempt, url: attemptUrl });
+    });
+    replacement.addEventListener('error', function () {
+      schedule(attemptUrl);
+    });
+    current.parentNode.replaceChild(replacement, current);
+    current = replacement;
+  }
+
+  function schedule(lastUrl) {
+    if (attempt >= options.maxRetries || !current.parentNode) {
+      report({ recovered: false, attempts: attempt, url: lastUrl });
+      return;
+    }
+    const pending = {
+      timer: setTimeout(function () {
+        _retryTimers.splice(_retryTimers.indexOf(pending), 1);
+        if (current.parentNode) {
+          retry();
+        } else {
+          report({ recovered: false, attempts: attempt, url: lastUrl }); // 已被页面移除
+        }
+      }, options.retryDelay * Math.pow(2, attempt)),
+      // 销毁时放弃重试，上报失败
+      cancel: function () {
+        report({ recovered: false, attempts: attempt, url: lastUrl });
+      },
+    };
+    _retryTimers.push(pending);
+  }
+
+  schedule(url);
+}
 
 /**
  * 资源加载错误上报
+ * 监听始终注册，是否上报由各 client 根据自己的 `collectSourceErrors` 判断
+ * 开启 `resourceRetry` 时，脚本和样式表先重试，结束后再上报
  * @param handler
  */
 export function installResourceLoadError(handler) {
-  if(!isRegisterListener && collectSourceErrors) {
-    _handler = handler;
-    window.addEventListener && window.addEventListener('error', function (e) {
-      try {
-        if(e.target !== window) {  // 避免重复上报
-          const stack = {
-            message: `${e.target.localName} is load error`,
-            mode: 'resource',
-            name: e.target.src || e.target.href || e.target.currentSrc,
-            stack: null,
-          };
-          handler(stack, true, e);
+  if(!_listener && _global.addEventListener) {
+    snapshotParsedElements();
+    _listener = function (e) {
+      if(e.target !== _global) {  // 避免重复上报
+        const elem = e.target;
+        if (elem.getAttribute && elem.getAttribute(RETRY_ATTRIBUTE) !== null) {
+          return; // 重试中，由 recover 处理
+        }
+        const url = elem.src || elem.href || elem.currentSrc;
+        const stack = {
+          message: `${elem.localName} is load error`,
+          mode: 'resource',
+          name: url,
+          stack: null,
+          resource: describeResource(elem, url),
+        };
+        const options = getRetryOptions();
+        if (options && isRecoverable(elem, url)) {
+          recover(elem, url, options, function (recovery) {
+            stack.resource.recovery = recovery;
+            handler(stack, true, e);
+          });
+          return;
         }
-      } catch (e) {
-        throw e;
+        handler(stack, true, e);
       }
-    }, true);
+    };
+    _global.addEventListener('error', _listener, true);
+  }
+}
+
+/**
+ * 取消等待中的重试，各以 `recovered: false` 上报
+ * 由 `destroy` 在移除回调之前调用，卸载监听时也会调用
+ */
+export function cancelResourceRetries() {
+  const pending = _retryTimers;
+  _retryTimers = [];
+  for (let i = 0; i < pending.length; i++) {
+    clearTimeout(pending[i].timer);
+  }
+  for (let i = 0; i < pending.length; i++) {
+    pending[i].cancel();
   }
-  isRegisterListener = true;
 }
 
 /**
  * 移除资源错误加载监听
+ * 必须传入注册时的同一个监听函数和捕获阶段参数，否则移除不掉
  */
 export function uninstallResourceLoadError() {
-  if(isRegisterListener && collectSourceErrors && _handler) {
-    window.removeEventListener && window.removeEventListener('error', _handler);
-    _handler = null;
-    isRegisterListener = false;
+  if(_listener) {
+    _global.removeEventListener && _global.removeEventListener('error', _listener, true);
+    _listener = null;
+  }
+  cancelResourceRetries();
+  if (_onParsed) {  // 还没解析完，下次安装时重新记录
+    _global.document.removeEventListener('DOMContentLoaded', _onParsed);
+    _onParsed = null;
+    _parsed = null;
   }
 }
@@ -0,0 +1,177 @@
+/**
+ * Scope: context attached to every report.
+ *
+ * Syntax:
+ * ```js
+ *   ErrorWatch.setUser({ id: 42, name: 'jane' })
+ *   ErrorWatch.setTag('build', '1.4.2')
+ *   ErrorWatch.setTags({ page: 'checkout', ab: 'b' })
+ *   ErrorWatch.setExtra('cart', { items: 3 })
+ *   ErrorWatch.withScope(function(scope) {
+ *     scope.setTag('step', 'payment')
+ *     ErrorWatch.report(ex)
+ *   })
+ * ```
+ *
+ * Every StackTrace delivered to subscribers, resource errors included, gets
+ * `user` (null if unset), `tags` and `extra` from the scope. Tag values are
+ * strings; setting a tag or extra to `undefined` removes it.
+ *
+ * `withScope(fn)` runs `fn` with a copy of the current scope; what is set
+ * on it, with the `scope` argument or the ErrorWatch methods, only applies
+ * to errors reported while `fn` runs. `report(ex)` keeps the scope it was
+ * called in, even though handlers are called later.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import { _has, _extend } from './utils';
+
+function createScope(parent) {
+  return {
+    user: parent ? parent.user : null,
+    tags: _extend({}, parent && parent.tags),
+    extra: _extend({}, parent && parent.extra),
+  };
+}
+
+let scopes = [createScope()];
+
+function currentScope() {
+  return scopes[scopes.length - 1];
+}
+
+function checkKey(key, method) {
+  if (typeof key !== 'string') {
+    throw new TypeError(`ErrorWatch: ${method} key must be a string`);
+  }
+}
+
+function setUserOn(scope, user) {
+  if (user !== null && {}.toString.call(user) !== '[object Object]') {
+    throw new TypeError('ErrorWatch: user must be an object or null');
+  }
+  scope.user = user && _extend({}, user);
+}
+
+function setTagOn(scope, key, value) {
+  checkKey(key, 'setTag');
+  if (value === undefined) {
+    delete scope.tags[key];
+  } else {
+    scope.tags[key] = String(value);
+  }
+}
+
+function setTagsOn(scope, tags) {
+  if ({}.toString.call(tags) !== '[object Object]') {
+    throw new TypeError('ErrorWatch: tags must be an object');
+  }
+  for (let key in tags) {
+    if (_has(tags, key)) {
+      setTagOn(scope, key, tags[key]);
+    }
+  }
+}
+
+function setExtraOn(scope, key, value) {
+  checkKey(key, 'setExtra');
+  if (value === undefined) {
+    delete scope.extra[key];
+  } else {
+    scope.extra[key] = value;
+  }
+}
+
+/**
+ * Sets the user the next reports are attributed to.
+ * @param {?Object} user E.g. `{ id, name, email }`; null to unset.
+ * @memberof ErrorWatch
+ * @throws {TypeError} If user is not an object or null.
+ */
+export function setUser(user) {
+  setUserOn(currentScope(), user);
+}
+
+/**
+ * Sets a tag, a string the reports can be searched by.
+ * @param {string} key
+ * @param {*} value Converted to a string; undefined removes the tag.
+ * @memberof ErrorWatch
+ * @throws {TypeError} If key is not a string.
+ */
+export function setTag(key, value) {
+  setTagOn(currentScope(), key, value);
+}
+
+/**
+ * Sets several tags.
+ * @param {Object} tags
+ * @memberof ErrorWatch
+ * @throws {TypeError} If tags is not an object.
+ */
+export function setTags(tags) {
+  setTagsOn(currentScope(), tags);
+}
+
+/**
+ * Sets arbitrary data sent with the reports.
+ * @param {string} key
+ * @param {*} value Must be serializable by the transport; undefined removes it.
+ * @memberof ErrorWatch
+ * @throws {TypeError} If key is not a string.
+ */
+export function setExtra(key, value) {
+  setExtraOn(currentScope(), key, value);
+}
+
+/**
+ * Runs `fn` with a temporary copy of the current scope.
+ * @param {Function} fn Receives the scope, with the methods `setUser`,
+ * `setTag`, `setTags` and `setExtra`.
+ * @return {*} What `fn` returns.
+ * @memberof ErrorWatch
+ */
+export function withScope(fn) {
+  const scope = createScope(currentScope());
+  scopes.push(scope);
+  try {
+    return fn({
+      setUser: function (user) {
+        return setUserOn(scope, user);
+      },
+      setTag: function (key, value) {
+        return setTagOn(scope, key, value);
+      },
+      setTags: function (tags) {
+        return setTagsOn(scope, tags);
+      },
+      setExtra: function (key, value) {
+        return setExtraOn(scope, key, value);
+      },
+    });
+  } finally {
+    scopes.splice(scopes.indexOf(scope), 1);
+  }
+}
+
+/**
+ * Returns a copy of the current scope.
+ * @return {{user: ?Object, tags: Object, extra: Object}}
+ * @memberof ErrorWatch.scope
+ */
+export function getScope() {
+  return createScope(currentScope());
+}
+
+/**
+ * Copies a scope onto a StackTrace.
+ * @param {ErrorWatch.StackTrace} stack
+ * @param {{user: ?Object, tags: Object, extra: Object}} scope
+ * @memberof ErrorWatch.scope
+ */
+export function applyScope(stack, scope) {
+  stack.user = scope.user;
+  stack.tags = scope.tags;
+  stack.extra = scope.extra;
+}
@@ -0,0 +1,222 @@
+/**
+ * Sessions, to tell how many sessions had an error.
+ *
+ * Syntax:
+ * ```js
+ *   ErrorWatch.configure({ sessionTimeout: 30 * 60 * 1000, collectSessions: true })
+ *   ErrorWatch.getSessionId()
+ * ```
+ *
+ * A session starts when the first handler subscribes and lasts until the tab
+ * has been inactive for `sessionTimeout` ms; reports, clicks, focus and
+ * navigation are activity. It is kept in sessionStorage, so it survives
+ * reloads and navigation in the same tab. Every StackTrace delivered to
+ * subscribers gets the `sessionId`.
+ *
+ * Clients with `collectSessions` also receive a summary when a session
+ * starts and when it ends:
+ * ```js
+ * {
+ *   mode: 'session',
+ *   name: 'start' | 'end',
+ *   message: 'session start' | 'session end',
+ *   stack: null,
+ *   session: { id, started, lastActivity, duration, errors, status }
+ * }
+ * ```
+ * `status` is 'ok' while no error was captured, 'errored' after an error
+ * and 'crashed' after an uncaught window error. The end of a session is
+ * only noticed while the tab is open or when the tab is used again, so a
+ * session whose tab was closed has no end summary; its errors can still be
+ * counted by their `sessionId`.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import { config } from './config';
+import { addInstrumentationHandler } from './instrument';
+import { onTeardown } from './teardown';
+import { _firstSeen, _global } from './utils';
+
+const STORAGE_KEY = 'errorWatch.session';
+
+let memorySession = null,
+  installed = false,
+  dispatchSummary = null,
+  expiryTimer = null,
+  isNewError = _firstSeen();
+
+function now() {
+  return new Date().getTime();
+}
+
+function generateId() {
+  const crypto = _global.crypto || _global.msCrypto;
+  let bytes = new Array(16);
+  if (crypto && crypto.getRandomValues && _global.Uint8Array) {
+    bytes = crypto.getRandomValues(new Uint8Array(16));
+  } else {
+    for (let i = 0; i < 16; i++) {
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+  }
+  let id = '';
+  for (let i = 0; i < 16; i++) {
+    id += (bytes[i] + 0x100).toString(16).slice(1);
+  }
+  return id;
+}
+
+function load() {
+  try {
+    const raw = _global.sessionStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    return memorySession; // sessionStorage is not available
+  }
+}
+
+function save(session) {
+  memorySession = session;
+  try {
+    if (session) {
+      _global.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    } else {
+      _global.sessionStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (e) {
+    // keep it in memory
+  }
+}
+
+function emit(name, session) {
+  const summary = {
+    mode: 'session',
+    name: name,
+    message: 'session ' + name,
+    stack: null,
+    session: {
+      id: session.id,
+      started: session.started,
+      lastActivity: session.lastActivity,
+      duration: session.lastActivity - session.started,
+      errors: session.errors,
+      status: session.status,
+    },
+  };
+  // Not from inside the code that noticed the change, which may be
+  // delivering an error.
+  setTimeout(function () {
+    if (dispatchSummary) { // not destroyed since
+      dispatchSummary(summary, false, null);
+    }
+  }, 0);
+}
+
+function isExpired(session, time) {
+  return time - session.lastActivity > config.sessionTimeout;
+}
+
+function scheduleExpiry() {
+  clearTimeout(expiryTimer);
+  expiryTimer = setTimeout(function () {
+    const session = load();
+    if (session && config.sessionTimeout && isExpired(session, now())) {
+      save(null);
+      emit('end', session);
+    }
+  }, config.sessionTimeout + 1);
+  if (expiryTimer && expiryTimer.unref) {
+    expiryTimer.unref(); // don't keep a Node.js process alive
+  }
+}
+
+/**
+ * Returns the current session after recording activity, starting a new
+ * session if there is none or the last one expired.
+ * @return {?Object} The session, null if sessions are off.
+ * @memberof ErrorWatch.session
+ */
+function touch() {
+  if (!installed || !config.sessionTimeout) {
+    return null;
+  }
+  const time = now();
+  let session = load();
+  if (session && isExpired(session, time)) {
+    save(null);
+    emit('end', session);
+    session = null;
+  }
+  if (!session) {
+    session = { id: generateId(), started: time, lastActivity: time, errors: 0, status: 'ok' };
+    emit('start', session);
+  }
+  session.lastActivity = time;
+  save(session);
+  scheduleExpiry();
+  return session;
+}
+
+/**
+ * Counts an error in the current session, once even if it is sent to
+ * several clients. The clients may receive different stacks for the same
+ * error (a client completing its own `report(ex)` with the window error),
+ * so errors are told apart by the error object when there is one.
+ * @param {ErrorWatch.StackTrace} stack
+ * @param {boolean} isWindowError
+ * @param {*=} error The error being handled.
+ * @return {?string} The session id, null if sessions are off.
+ * @memberof ErrorWatch.session
+ */
+export function trackError(stack, isWindowError, error) {
+  const session = touch();
+  if (!session) {
+    return null;
+  }
+  if (isNewError(error && typeof error === 'object' ? error : stack)) {
+    session.errors++;
+  }
+  // the same error may reach another client as the window error
+  if (isWindowError && stack.mode !== 'resource' && stack.mode !== 'csp') {
+    session.status = 'crashed';
+  } else if (session.status === 'ok') {
+    session.status = 'errored';
+  }
+  save(session);
+  return session.id;
+}
+
+/**
+ * Returns the id of the current session. Like any activity, this starts a
+ * new session if the last one expired.
+ * @return {?string} null before the first handler subscribes or if sessions are off.
+ * @memberof ErrorWatch
+ */
+export function getSessionId() {
+  const session = touch();
+  return session ? session.id : null;
+}
+
+/**
+ * Starts session tracking; called when the first client registers.
+ * @param {Function} dispatch Sends the summaries to the clients.
+ * @memberof ErrorWatch.session
+ */
+export function installSessions(dispatch) {
+  if (installed) {
+    return;
+  }
+  installed = true;
+  dispatchSummary = dispatch;
+  onTeardown(function () {
+    // the session itself is kept, like on a reload
+    clearTimeout(expiryTimer);
+    installed = false;
+    dispatchSummary = null;
+    isNewError = _firstSeen();
+  });
+  addInstrumentationHandler('dom', touch);
+  addInstrumentationHandler('history', touch);
+  touch();
+}
@@ -0,0 +1,64 @@
+/**
+ * Undo list for everything ErrorWatch changes outside of its own state:
+ * patched globals, listeners, timers and install flags.
+ *
+ * `ErrorWatch.destroy()` runs the teardowns in reverse order, so that a
+ * patch is undone before the patches it was made on top of, and then
+ * forgets them. Installing again afterwards starts from a clean page.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+
+let teardowns = [];
+
+/**
+ * Registers a function undoing a change; it is called once by `destroy`.
+ * @param {Function} fn
+ * @memberof ErrorWatch.teardown
+ */
+export function onTeardown(fn) {
+  teardowns.push(fn);
+}
+
+/**
+ * Adds an event listener that `destroy` removes.
+ * @param {EventTarget} target
+ * @param {string} type
+ * @param {Function} listener
+ * @param {(boolean|Object)=} options
+ * @return {Function} Removes the listener before `destroy`.
+ * @memberof ErrorWatch.teardown
+ */
+export function listen(target, type, listener, options) {
+  if (!target || !target.addEventListener) {
+    return function () {};
+  }
+  target.addEventListener(type, listener, options);
+  const unlisten = function () {
+    target.removeEventListener(type, listener, options);
+    const index = teardowns.indexOf(unlisten);
+    if (index !== -1) {
+      teardowns.splice(index, 1);
+    }
+  };
+  onTeardown(unlisten);
+  return unlisten;
+}
+
+/**
+ * Undoes every registered change, the last one first. A teardown that
+ * throws doesn't stop the others.
+ * @memberof ErrorWatch.teardown
+ */
+export function runTeardowns() {
+  const list = teardowns;
+  teardowns = [];
+  for (let i = list.length - 1; i >= 0; --i) {
+    try {
+      list[i]();
+    } catch (e) {
+      // ignore
+    }
+  }
+}
@@ -0,0 +1,314 @@
+/**
+ * ErrorWatch.transport: delivers reports to a server.
+ *
+ * Syntax:
+ * ```js
+ *   ErrorWatch.report.subscribe(ErrorWatch.transport({ url: 'https://your-website.com/api/handleError' }))
+ *   ErrorWatch.transport.send(body, { url: '...' }, function(result) { ... })
+ * ```
+ *
+ * Each report is sent with the first of these methods that can take it:
+ *   - beacon: `navigator.sendBeacon`, payloads up to 64KB; survives page unload
+ *   - fetch:  `fetch` with `keepalive`, payloads up to 64KB
+ *   - xhr:    `XMLHttpRequest` POST, any size
+ *   - image:  `new Image()` GET with `?data=`, only if the URL stays short
+ *
+ * Bodies are sent as `text/plain` so that cross-origin requests don't need
+ * a CORS preflight. Network errors, 408, 429 and 5xx responses are retried
+ * with exponential backoff; the result is passed to `onSuccess`/`onFailure`.
+ * A beacon only tells whether the browser queued it, so its `status` is null.
+ *
+ * With the `queue` option, reports that still fail with a transient error,
+ * or that are captured while the browser is offline, are saved and sent
+ * later (see ErrorWatch.queue). With the `batch` option, reports are sent
+ * together (see ErrorWatch.batch). Requests to the transport URL are not
+ * recorded as breadcrumbs.
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import { _has, _extend, _byteLength, _global, _safeJSON } from './utils';
+import { createQueue } from './queue';
+import { createBatch } from './batch';
+import { ignoreUrl } from './instrument';
+import { onTeardown } from './teardown';
+
+// Max body of navigator.sendBeacon and of a keepalive fetch in most browsers.
+const KEEPALIVE_LIMIT = 65536;
+// Conservative max URL length (IE).
+const IMAGE_URL_LIMIT = 2000;
+
+export const transportDefaults = {
+  url: null,
+  methods: ['beacon', 'fetch', 'xhr', 'image'],
+  maxRetries: 3,
+  retryDelay: 1000,   // ms before the first retry, doubled on every retry
+  beforeSend: null,   // function(payload, stack, isWindowError, error)，返回 false 不发送
+  onSuccess: null,    // function(result, payload)
+  onFailure: null,    // function(result, payload)
+  queue: false,       // true or queue options: save failed reports and send them later
+  batch: false,       // true or batch options: send reports together as a JSON array
+};
+
+// The page-wide queue, created by the first transport that enables it.
+let pageQueue = null;
+
+/**
+ * Senders return false when they can't send the body at all (unsupported
+ * or too large) so that the next method is tried. Otherwise they call
+ * `done(ok, status)` once, now or later.
+ * @memberof ErrorWatch.transport
+ */
+const senders = {
+  beacon(url, body, done) {
+    const nav = _global.navigator;
+    if (!nav || typeof nav.sendBeacon !== 'function' || _byteLength(body) > KEEPALIVE_LIMIT) {
+      return false;
+    }
+    if (!nav.sendBeacon(url, body)) {
+      return false;
+    }
+    done(true, null);
+    return true;
+  },
+
+  fetch(url, body, done) {
+    if (typeof _global.fetch !== 'function' || _byteLength(body) > KEEPALIVE_LIMIT) {
+      return false;
+    }
+    _global.fetch(url, {
+      method: 'POST',
+      body: body,
+      keepalive: true,
+      headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+    }).then(function (response) {
+      done(response.ok, response.status);
+    }, function () {
+      done(false, 0);
+    });
+    return true;
+  },
+
+  xhr(url, body, done) {
+    if (typeof _global.XMLHttpRequest === 'undefined') {
+      return false;
+    }
+    try {
+      const request = new _global.XMLHttpRequest();
+      request.open('POST', url, true);
+      request.setRequestHeader('Content-Type', 'text/plain;charset=UTF-8');
+      request.onreadystatechange = function () {
+        if (request.readyState === 4) {
+          done(request.status >= 200 && request.status < 300, request.status);
+        }
+      };
+      request.send(body);
+    } catch (e) {
+      return false;
+    }
+    return true;
+  },
+
+  image(url, body, done) {
+    const src = url + (url.indexOf('?') === -1 ? '?' : '&') + 'data=' + encodeURIComponent(body);
+    if (typeof _global.Image === 'undefined' || src.length > IMAGE_URL_LIMIT) {
+      return false;
+    }
+    const image = new _global.Image();
+    image.onload = function () {
+      done(true, null);
+    };
+    image.onerror = function () {
+      done(false, 0);
+    };
+    image.src = src;
+    return true;
+  },
+};
+
+/**
+ * Whether a failed delivery may succeed if tried again.
+ * @param {?number} status HTTP status, 0 for a network error.
+ * @return {boolean}
+ * @memberof ErrorWatch.transport
+ */
+function isTransientFailure(status) {
+  return status === 0 || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Throws a TypeError if a transport option is unknown or invalid.
+ * @param {Object} options
+ * @memberof ErrorWatch.transport
+ */
+function validateTransportOptions(options) {
+  for (let key in options) {
+    if (_has(options, key) && !_has(transportDefaults, key)) {
+      throw new TypeError(`ErrorWatch.transport: unknown option "${key}"`);
+    }
+  }
+  if (typeof options.url !== 'string' || !options.url) {
+    throw new TypeError('ErrorWatch.transport: option "url" is required');
+  }
+  const toggles = ['queue', 'batch'];
+  for (let i = 0; i < toggles.length; i++) {
+    const value = options[toggles[i]];
+    if (value != null && typeof value !== 'boolean' && {}.toString.call(value) !== '[object Object]') {
+      throw new TypeError(`ErrorWatch.transport: option "${toggles[i]}" must be a boolean or an object`);
+    }
+  }
+  const methods = options.methods || [];
+  for (let i = 0; i < methods.length; i++) {
+    if (!_has(senders, methods[i])) {
+      throw new TypeError(`ErrorWatch.transport: unknown method "${methods[i]}"`);
+    }
+  }
+}
+
+/**
+ * Sends a body, retrying transient failures.
+ * @param {string} body
+ * @param {Object} options Transport options; `url` is required.
+ * @param {Function=} callback Called once with `{ ok, method, status, attempts, retryable }`,
+ * where `retryable` tells whether a failure was transient.
+ * @memberof ErrorWatch.transport
+ * @throws {TypeError} If an option is invalid.
+ */
+export function send(body, options, callback) {
+  validateTransportOptions(options);
+  options = _extend(_extend({}, transportDefaults), options);
+  ignoreUrl(options.url);
+  let attempts = 0;
+
+  function finish(method, ok, status) {
+    if (!ok && method && isTransientFailure(status) && attempts <= options.maxRetries) {
+      setTimeout(attempt, options.retryDelay * Math.pow(2, attempts - 1));
+      return;
+    }
+    if (callback) {
+      callback({
+        ok: ok,
+        method: method,
+        status: status,
+        attempts: attempts,
+        retryable: !ok && (!method || isTransientFailure(status)),
+      });
+    }
+  }
+
+  function attempt() {
+    attempts++;
+    for (let i = 0; i < options.methods.length; i++) {
+      const method = options.methods[i];
+      const sent = senders[method](options.url, body, function (ok, status) {
+        finish(method, ok, status);
+      });
+      if (sent) {
+        return;
+      }
+    }
+    finish(null, false, null); // no method could send it
+  }
+
+  attempt();
+}
+
+/**
+ * Creates a handler for `report.subscribe` that sends every report.
+ * The payload is the StackTrace plus `isWindowError` and the page `url`.
+ * With the `batch` option, payloads are sent together as a JSON array
+ * (see ErrorWatch.batch); `onSuccess`/`onFailure` then receive the array.
+ * @param {Object} options Transport options; `url` is required.
+ * @return {Function} The handler.
+ * @memberof ErrorWatch
+ * @throws {TypeError} If an option is invalid.
+ */
+export default function transport(options) {
+  validateTransportOptions(options);
+  options = _extend(_extend({}, transportDefaults), options);
+  ignoreUrl(options.url);
+
+  if (options.queue && !pageQueue) {
+    pageQueue = createQueue(send, options.queue === true ? null : options.queue);
+    onTeardown(function () {
+      pageQueue = null;
+    });
+  }
+
+  // Only a beacon is sure to survive the page being unloaded, and there is
+  // no time left to retry.
+  const unloadOptions = _extend(_extend({}, options), {
+    methods: ['beacon'].concat(options.methods.filter(function (method) {
+      return method !== 'beacon';
+    })),
+    maxRetries: 0,
+  });
+
+  function enqueue(body) {
+    pageQueue.enqueue({ url: options.url, methods: options.methods, body: body });
+  }
+
+  /**
+   * Sends a body and reports the result; failures are queued if enabled.
+   * @param {string} body
+   * @param {(Object|Array.<Object>)} payload What the body was made of.
+   * @param {boolean=} isUnloading Whether the page is being hidden or unloaded.
+   */
+  function deliver(body, payload, isUnloading) {
+    if (options.queue && _global.navigator && _global.navigator.onLine === false) {
+      enqueue(body);
+      return;
+    }
+
+    send(body, isUnloading ? unloadOptions : options, function (result) {
+      if (options.queue) {
+        if (result.ok) {
+          pageQueue.flush(); // we're online again
+        } else if (result.retryable) {
+          enqueue(body);
+          result.queued = true;
+        }
+      }
+      const callback = result.ok ? options.onSuccess : options.onFailure;
+      if (callback) {
+        callback(result, payload);
+      }
+    });
+  }
+
+  const batch = options.batch ?
+    createBatch(deliver, options.batch === true ? null : options.batch) :
+    null;
+
+  return function errorWatchTransport(stack, isWindowError, error) {
+    let payload = _extend({}, stack);
+    payload.isWindowError = isWindowError;
+    payload.url = _global.location ? _global.location.href : null;
+    if (options.beforeSend) {
+      const result = options.beforeSend(payload, stack, isWindowError, error);
+      if (result === false) {
+        return;
+      }
+      payload = result || payload;
+    }
+
+    let body;
+    try {
+      body = _safeJSON(payload);
+    } catch (e) {
+      // a toJSON method or a getter of the payload threw
+      if (options.onFailure) {
+        options.onFailure({ ok: false, method: null, status: null, attempts: 0, retryable: false, error: e },
+          batch ? [payload] : payload);
+      }
+      return;
+    }
+    if (batch) {
+      batch.add(body, payload);
+    } else {
+      deliver(body, payload);
+    }
+  };
+}
+
+transport.send = send;
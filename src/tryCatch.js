@@ -1,35 +1,214 @@
-import { wrap } from './wrap';
+import { wrap } from './report';
+import { fill } from './instrument';
+import { onTeardown } from './teardown';
+import { _has, _global } from './utils';
 
 // global reference to slice
 const _slice = [].slice;
 
+// Functions whose first argument is a callback.
+const CALLBACK_FUNCTIONS = ['setTimeout', 'setInterval', 'requestAnimationFrame', 'requestIdleCallback', 'queueMicrotask'];
+
+// Where addEventListener may be defined; only EventTarget in modern browsers.
+const EVENT_TARGETS = ['EventTarget', 'Window', 'Node', 'XMLHttpRequest'];
+
+// Event handler properties: [constructor name, properties]
+const HANDLER_PROPERTIES = [
+  ['MessagePort', ['onmessage', 'onmessageerror']],
+  ['FileReader', ['onabort', 'onerror', 'onload', 'onloadend', 'onloadstart', 'onprogress']],
+];
+
+// Constructors whose first argument is a callback.
+const OBSERVERS = ['MutationObserver', 'ResizeObserver', 'IntersectionObserver', 'PerformanceObserver', 'ReportingObserver'];
+
+let _extended = false;
+
 /**
  * Extends support for global error handling for asynchronous browser
  * functions. Adopted from Closure Library's errorhandler.js
  * @memberof ErrorWatch
  */
 function _helper(fnName) {
-  const originalFn = window[fnName];
-
-  window[fnName] = function errorWatchAsyncExtension() {
-    // Make a copy of the arguments
-    let args = _slice.call(arguments);
-    const originalCallback = args[0];
-    if (typeof (originalCallback) === 'function') {
-      args[0] = wrap(originalCallback);
+  if (typeof _global[fnName] !== 'function') {
+    return;
+  }
+
+  fill(_global, fnName, function (originalFn) {
+    return function errorWatchAsyncExtension() {
+      // Make a copy of the arguments
+      let args = _slice.call(arguments);
+      const originalCallback = args[0];
+      if (typeof (originalCallback) === 'function') {
+        args[0] = wrap(originalCallback, fnName);
+      }
+      // IE < 9 doesn't support .call/.apply on setInterval/setTimeout, but it
+      // also only supports 2 argument and doesn't care what "this" is, so we
+      // can just call the original function directly.
+      if (originalFn.apply) {
+        return originalFn.apply(this, args);
+      } else {
+        return originalFn(args[0], args[1]);
+      }
+    };
+  });
+}
+
+/**
+ * Returns the wrapped version of an event listener, the same one every time
+ * for the same listener and event type so that removeEventListener can find
+ * it.
+ * @param {(Function|Object)} listener A function or an object with `handleEvent`.
+ * @param {string} type
+ * @param {string} entryPoint
+ * @return {(Function|Object)} The wrapped listener, or listener if it can't be wrapped.
+ * @memberof ErrorWatch
+ */
+function _wrapListener(listener, type, entryPoint) {
+  if (!listener || (typeof listener !== 'function' && typeof listener.handleEvent !== 'function')) {
+    return listener;
+  }
+  let wrappers = listener.__errorWatchWrappers__;
+  if (!wrappers) {
+    wrappers = {};
+    try {
+      Object.defineProperty(listener, '__errorWatchWrappers__', { value: wrappers });
+    } catch (e) {
+      return listener; // frozen
+    }
+  }
+  if (!wrappers[type]) {
+    wrappers[type] = wrap(typeof listener === 'function' ? listener : function () {
+      return listener.handleEvent.apply(listener, arguments);
+    }, entryPoint);
+  }
+  return wrappers[type];
+}
+
+/**
+ * Returns a removeEventListener that also removes the wrapped version of the
+ * listener. It is left in place by `destroy`: listeners added while
+ * addEventListener was patched stay registered as their wrappers, and the
+ * page must still be able to remove them.
+ * @param {Function} original
+ * @return {Function}
+ * @memberof ErrorWatch
+ */
+function _unwrappingRemover(original) {
+  function removeEventListener(type, listener) {
+    const wrapped = listener && listener.__errorWatchWrappers__ && listener.__errorWatchWrappers__[type];
+    if (wrapped) {
+      let args = _slice.call(arguments);
+      args[1] = wrapped;
+      original.apply(this, args);
+    }
+    // also remove it in case it was added before the patch
+    return original.apply(this, arguments);
+  }
+  removeEventListener.__errorWatchOriginal__ = original;
+  removeEventListener.__errorWatchUnwrapping__ = true;
+  return removeEventListener;
+}
+
+function _extendEventTarget(name) {
+  const proto = _global[name] && _global[name].prototype;
+  if (!proto || !_has(proto, 'addEventListener') || !_has(proto, 'removeEventListener')) {
+    return;
+  }
+
+  fill(proto, 'addEventListener', function (original) {
+    return function (type, listener) {
+      let args = _slice.call(arguments);
+      args[1] = _wrapListener(listener, type, `${name}.addEventListener:${type}`);
+      return original.apply(this, args);
+    };
+  });
+
+  // not restored by destroy, see _unwrappingRemover
+  if (!proto.removeEventListener.__errorWatchUnwrapping__) {
+    proto.removeEventListener = _unwrappingRemover(proto.removeEventListener);
+  }
+}
+
+function _extendHandlerProperty(name, property) {
+  const proto = _global[name] && _global[name].prototype,
+    descriptor = proto && Object.getOwnPropertyDescriptor(proto, property),
+    entryPoint = `${name}.${property}`;
+  if (!descriptor || !descriptor.set || !descriptor.configurable) {
+    return;
+  }
+
+  onTeardown(function () {
+    Object.defineProperty(proto, property, descriptor);
+  });
+  Object.defineProperty(proto, property, {
+    configurable: true,
+    enumerable: descriptor.enumerable,
+    get() {
+      const handler = descriptor.get.call(this);
+      return (handler && handler.__errorWatchHandler__) || handler;
+    },
+    set(handler) {
+      if (typeof handler === 'function') {
+        const wrapped = wrap(handler, entryPoint);
+        wrapped.__errorWatchHandler__ = handler;
+        handler = wrapped;
+      }
+      descriptor.set.call(this, handler);
+    },
+  });
+}
+
+function _extendObserver(name) {
+  if (typeof _global[name] !== 'function') {
+    return;
+  }
+
+  fill(_global, name, function (Original) {
+    function ErrorWatchObserver(callback) {
+      let args = _slice.call(arguments);
+      if (typeof callback === 'function') {
+        args[0] = wrap(callback, `${name}.callback`);
+      }
+      return new (Function.prototype.bind.apply(Original, [null].concat(args)))();
     }
-    // IE < 9 doesn't support .call/.apply on setInterval/setTimeout, but it
-    // also only supports 2 argument and doesn't care what "this" is, so we
-    // can just call the original function directly.
-    if (originalFn.apply) {
-      return originalFn.apply(this, args);
-    } else {
-      return originalFn(args[0], args[1]);
+    ErrorWatchObserver.prototype = Original.prototype;
+    if (Object.setPrototypeOf) {
+      Object.setPrototypeOf(ErrorWatchObserver, Original); // static members, e.g. supportedEntryTypes
     }
-  };
+    return ErrorWatchObserver;
+  });
 }
 
+/**
+ * Wraps the callbacks passed to the asynchronous browser APIs, so that
+ * errors thrown in them are reported with a full stack trace (instead of
+ * "Script error." for cross-origin scripts) and an `entryPoint`:
+ *   - setTimeout, setInterval, requestAnimationFrame, requestIdleCallback,
+ *     queueMicrotask: the function name
+ *   - addEventListener: e.g. 'EventTarget.addEventListener:click';
+ *     removeEventListener still removes the listeners, also after destroy
+ *   - MessagePort.onmessage/onmessageerror and the FileReader `on*`
+ *     handlers: e.g. 'FileReader.onload'
+ *   - Mutation, Resize, Intersection, Performance and Reporting observers:
+ *     e.g. 'MutationObserver.callback'
+ * Calling it again does nothing; `ErrorWatch.destroy` undoes it.
+ * @memberof ErrorWatch
+ */
 export function extendToAsynchronousCallbacks() {
-  _helper('setTimeout');
-  _helper('setInterval');
+  if (_extended) {
+    return;
+  }
+  _extended = true;
+  onTeardown(function () {
+    _extended = false;
+  });
+
+  CALLBACK_FUNCTIONS.forEach(_helper);
+  EVENT_TARGETS.forEach(_extendEventTarget);
+  HANDLER_PROPERTIES.forEach(function (item) {
+    item[1].forEach(function (property) {
+      _extendHandlerProperty(item[0], property);
+    });
+  });
+  OBSERVERS.forEach(_extendObserver);
 }
@@ -10,6 +10,48 @@ export function _has(object, key) {
   return Object.prototype.hasOwnProperty.call(object, key);
 }
 
+/**
+ * The global object: `window` in a page, `self` in a web worker or service
+ * worker<br/>
+ * Example: `_global.addEventListener('error', listener)`
+ *
+ * @type {Object}
+ */
+export const _global = typeof globalThis !== 'undefined' ? globalThis :
+  typeof self !== 'undefined' ? self :
+  typeof window !== 'undefined' ? window : {};
+
+/**
+ * Property set on a window while an ErrorWatch handles its errors, whatever
+ * the build and even after `noConflict`, so that the ErrorWatch of a parent
+ * page, maybe another copy, leaves the window alone<br/>
+ * Example: `win[_WINDOW_MARKER] === true`
+ *
+ * @type {string}
+ */
+export const _WINDOW_MARKER = '__errorWatchInstalled__';
+
+/**
+ * Returns true if running in a worker (dedicated, shared or service)<br/>
+ * Example: `_isWorker() === true/false`
+ *
+ * @return {Boolean} true in a worker and false in a page
+ */
+export function _isWorker() {
+  return typeof _global.document === 'undefined' && typeof _global.importScripts === 'function';
+}
+
+/**
+ * Returns true if running in Node.js<br/>
+ * Example: `_isNode() === true/false`
+ *
+ * @return {Boolean} true in Node.js and false in a page or a worker
+ */
+export function _isNode() {
+  return typeof _global.document === 'undefined' && typeof process !== 'undefined' &&
+    !!process.versions && !!process.versions.node;
+}
+
 /**
  * Returns true if the parameter is undefined<br/>
  * Example: `_isUndefined(val) === true/false`
@@ -19,4 +61,223 @@ export function _has(object, key) {
  */
 export function _isUndefined(what) {
   return typeof what === 'undefined';
-}
\ No newline at end of file
+}
+
+/**
+ * Copies every own property of `source` onto `target`<br/>
+ * Example: `_extend({}, stack)`
+ *
+ * @param {Object} target Object to copy to
+ * @param {Object=} source Object to copy from
+ * @return {Object} target
+ */
+export function _extend(target, source) {
+  for (let key in source) {
+    if (_has(source, key)) {
+      target[key] = source[key];
+    }
+  }
+  return target;
+}
+
+/**
+ * Returns a function telling whether an object is seen for the first time<br/>
+ * Example: `const isNew = _firstSeen(); isNew(error) === true; isNew(error) === false`
+ *
+ * The objects are held weakly where WeakSet is available, so that they can
+ * be collected; elsewhere only the last one is remembered.
+ *
+ * @return {function(Object): Boolean}
+ */
+export function _firstSeen() {
+  const seen = typeof _global.WeakSet === 'function' ? new _global.WeakSet() : null;
+  let last = null;
+  return function (value) {
+    if (seen ? seen.has(value) : value === last) {
+      return false;
+    }
+    if (seen) {
+      seen.add(value);
+    } else {
+      last = value;
+    }
+    return true;
+  };
+}
+
+/**
+ * Returns the length of a string in bytes once UTF-8 encoded<br/>
+ * Example: `_byteLength('错误') === 6`
+ *
+ * @param {string} str String to measure
+ * @return {number} The length in bytes
+ */
+export function _byteLength(str) {
+  return encodeURIComponent(str).replace(/%[A-F\d]{2}/gi, 'x').length;
+}
+
+function _isSkipped(value) {
+  const type = typeof value;
+  return type === 'undefined' || type === 'function' || type === 'symbol';
+}
+
+/**
+ * Like JSON.stringify, but stops once more than `limit` characters are
+ * written, so that a large object costs no more than a small one.
+ * Circular references are written as "[Circular]".
+ * @param {*} value
+ * @param {number} limit
+ * @return {string} The JSON, cut after `limit` characters.
+ */
+function _limitedJSON(value, limit) {
+  let out = '';
+  let parents = [];
+
+  function write(str) {
+    out += str;
+    return out.length <= limit;
+  }
+
+  function walk(value) {
+    if (value && typeof value.toJSON === 'function') {
+      value = value.toJSON();
+    }
+    if (value === null || _isSkipped(value) || (typeof value === 'number' && !isFinite(value))) {
+      return write('null');
+    }
+    if (typeof value === 'string') {
+      return write(JSON.stringify(value.length > limit ? value.slice(0, limit + 1) : value));
+    }
+    if (typeof value !== 'object') {
+      return write(String(value));
+    }
+    if (parents.indexOf(value) !== -1) {
+      return write('"[Circular]"');
+    }
+    parents.push(value);
+    if (Array.isArray(value)) {
+      if (!write('[')) {
+        return false;
+      }
+      for (let i = 0; i < value.length; i++) {
+        if ((i && !write(',')) || !walk(value[i])) {
+          return false;
+        }
+      }
+      parents.pop();
+      return write(']');
+    }
+    let first = true;
+    if (!write('{')) {
+      return false;
+    }
+    for (let key in value) {
+      if (!_has(value, key) || _isSkipped(value[key])) {
+        continue;
+      }
+      if (!write((first ? '' : ',') + JSON.stringify(key) + ':') || !walk(value[key])) {
+        return false;
+      }
+      first = false;
+    }
+    parents.pop();
+    return write('}');
+  }
+
+  walk(value);
+  return out;
+}
+
+/**
+ * Like JSON.stringify, but circular references are written as "[Circular]"
+ * and BigInts as numbers instead of throwing<br/>
+ * Example: `_safeJSON({ extra: scope.extra })`
+ *
+ * @param {*} value
+ * @return {string} The JSON
+ * @throws An exception if a `toJSON` method or a getter throws.
+ */
+export function _safeJSON(value) {
+  try {
+    return JSON.stringify(value);
+  } catch (e) {
+    return _limitedJSON(value, Infinity);
+  }
+}
+
+function _stringify(value, limit) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (value instanceof Error) {
+    return value.name + ': ' + value.message;
+  }
+  if (_isSkipped(value)) {
+    return undefined; // like JSON.stringify
+  }
+  try {
+    return _limitedJSON(value, limit);
+  } catch (e) {
+    return String(value);
+  }
+}
+
+/**
+ * Returns the message of a console call, its arguments joined by spaces<br/>
+ * Example: `_consoleMessage('assert', [false, 'no user'], 300) === 'Assertion failed: no user'`
+ *
+ * Objects are only serialized up to the length of the message, which is
+ * longer than `maxLength` when the caller has to truncate it.
+ *
+ * @param {string} level Console method, e.g. 'error'
+ * @param {Array} args Arguments of the call
+ * @param {number} maxLength The length the caller truncates the message to
+ * @return {?string} The message, or null for an assertion that passed
+ */
+export function _consoleMessage(level, args, maxLength) {
+  if (level === 'assert') {
+    if (args[0]) {
+      return null;
+    }
+    args = ['Assertion failed:'].concat(args.slice(1));
+  }
+  let message = '';
+  for (let i = 0; i < args.length && message.length <= maxLength; i++) {
+    const part = _stringify(args[i], maxLength - message.length);
+    message += (i ? ' ' : '') + (part === undefined ? '' : part);
+  }
+  return message;
+}
+
+/**
+ * Returns a CSS selector path for a DOM element, up to 5 levels deep<br/>
+ * Example: `_cssSelector(button) === 'div#app > form.login > button[name="submit"]'`
+ *
+ * @param {Element} elem Element to describe
+ * @return {string} The selector, or an empty string if elem is not an element
+ */
+export function _cssSelector(elem) {
+  const MAX_DEPTH = 5;
+  let parts = [];
+  for (let depth = 0; elem && elem.nodeType === 1 && depth < MAX_DEPTH; depth++) {
+    let part = elem.tagName.toLowerCase();
+    if (elem.id) {
+      parts.unshift(part + '#' + elem.id);
+      break; // ids are unique enough
+    }
+    const className = typeof elem.className === 'string' ? elem.className : '';
+    if (className) {
+      part += '.' + className.split(/\s+/).filter(Boolean).join('.');
+    }
+    const attributes = ['name', 'type', 'title', 'alt'];
+    for (let i = 0; i < attributes.length; i++) {
+      const value = elem.getAttribute && elem.getAttribute(attributes[i]);
+      if (value) {
+        part += `[${attributes[i]}="${value}"]`;
+      }
+    }
+    parts.unshift(part);
+    elem = elem.parentNode;
+  }
+  return parts.join(' > ');
+}
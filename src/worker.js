@@ -0,0 +1,93 @@
+/**
+ * Web worker and service worker support.
+ *
+ * ErrorWatch runs in any global scope: in a worker it listens to the
+ * `error` and `unhandledrejection` events of `self`. The reports of a
+ * worker can be forwarded to the page, so that one pipeline handles them.
+ *
+ * Syntax:
+ * ```js
+ *   // worker.js
+ *   importScripts('errorWatch.min.js');
+ *   ErrorWatch.report.subscribe(ErrorWatch.forwardToPage());
+ *
+ *   // page
+ *   ErrorWatch.listenToWorker(new Worker('worker.js'));
+ *   ErrorWatch.listenToWorker(navigator.serviceWorker);
+ * ```
+ *
+ * A dedicated worker posts the reports to the page that created it, a
+ * service worker to every window it controls. The page sends them to its
+ * own clients like its own errors, with the worker's `breadcrumbs`,
+ * `contexts`, `sessionId`, `user`, `tags` and `extra` moved under `worker`:
+ * ```js
+ * {
+ *   mode: 'stack',
+ *   name: 'TypeError',
+ *   ...
+ *   worker: { type: 'dedicated' | 'service', url: 'https://example.com/worker.js', breadcrumbs, contexts, ... }
+ * }
+ * ```
+ *
+ * @memberof ErrorWatch
+ * @namespace
+ */
+import { createMessage, receiveMessage } from './forward';
+import { listen } from './teardown';
+import { _global, _isWorker } from './utils';
+
+function workerType() {
+  if (_global.registration && _global.clients && typeof _global.clients.matchAll === 'function') {
+    return 'service';
+  }
+  return typeof _global.postMessage === 'function' ? 'dedicated' : null;
+}
+
+/**
+ * Creates a handler that posts the reports of a worker to the page.
+ * Subscribe it to the clients whose reports the page should get; it does
+ * nothing outside a dedicated or service worker.
+ * @return {Function} A handler: `function(stack, isWindowError)`.
+ * @memberof ErrorWatch
+ */
+export function forwardToPage() {
+  return function forward(stack, isWindowError) {
+    const type = _isWorker() ? workerType() : null;
+    if (!type || !stack) {
+      return;
+    }
+    const message = createMessage(stack, isWindowError, 'worker', {
+      type: type,
+      url: _global.location ? _global.location.href : null,
+    });
+    if (!message) {
+      return;
+    }
+    if (type === 'dedicated') {
+      _global.postMessage(message);
+    } else {
+      _global.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(function (windows) {
+        for (let i = 0; i < windows.length; i++) {
+          windows[i].postMessage(message);
+        }
+      });
+    }
+  };
+}
+
+/**
+ * Sends the reports forwarded by a worker to the clients of the page.
+ * `ErrorWatch.destroy` stops listening.
+ * @param {(Worker|ServiceWorkerContainer)} target The worker, or
+ * `navigator.serviceWorker` for service workers.
+ * @memberof ErrorWatch
+ * @throws {TypeError} If target can't receive messages.
+ */
+export function listenToWorker(target) {
+  if (!target || typeof target.addEventListener !== 'function') {
+    throw new TypeError('ErrorWatch: listenToWorker expects a Worker or navigator.serviceWorker');
+  }
+  listen(target, 'message', function (e) {
+    receiveMessage(e.data, 'worker');
+  });
+}
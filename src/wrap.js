@@ -1,21 +1,29 @@
-import report from "./report";
-
 /**
- * Wrap any function in a ErrorWatch reporter<br/>
- * Example: `func = ErrorWatch.wrap(func);`
- *
- * @param {Function} func Function to be wrapped
- * @return {Function} The wrapped func
+ * Creates the `wrap` function of a client.
+ * @param {Function} report The `report` function of the client.
+ * @return {Function} wrap
  * @memberof ErrorWatch
  */
-export function wrap(func) {
-  function wrapped() {
-    try {
-      return func.apply(this, arguments);
-    } catch (e) {
-      report(e);
-      throw e;
+export function createWrap(report) {
+  /**
+   * Wrap any function in a ErrorWatch reporter<br/>
+   * Example: `func = ErrorWatch.wrap(func);`
+   *
+   * @param {Function} func Function to be wrapped
+   * @param {string=} entryPoint Name of the entry point, set as `entryPoint`
+   * on the reports of errors thrown by func
+   * @return {Function} The wrapped func
+   * @memberof ErrorWatch
+   */
+  return function wrap(func, entryPoint) {
+    function wrapped() {
+      try {
+        return func.apply(this, arguments);
+      } catch (e) {
+        report(e, entryPoint);
+        throw e;
+      }
     }
-  }
-  return wrapped;
+    return wrapped;
+  };
 }